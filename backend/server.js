@@ -4,44 +4,69 @@ const cors = require('cors');
 const path = require('path');
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/middleware/errorHandler');
-const { activeSessions } = require('./src/services/whatsappService');
+const { authenticate } = require('./src/middleware/auth');
+const { canAccess } = require('./src/services/tenantService');
+const { activeSessions, suspendAllSessions, logoutSession } = require('./src/services/whatsappService');
+const { flushAllStores } = require('./src/utils/jsonStore');
+const { startScheduler } = require('./src/services/schedulerService');
+const { restoreSessions } = require('./src/services/sessionRestoreService');
+const { startWebhooks } = require('./src/services/webhookService');
+const { getDefaultAccount, isDefaultAccountConfigured, verifyAccount, getSmtpStatus, closeAllTransporters } = require('./src/services/emailService');
 
 // Import routers
 const whatsappRoutes = require('./src/routes/whatsapp.js');
 const emailRoutes = require('./src/routes/email.js');
+const emailAccountRoutes = require('./src/routes/emailAccounts.js');
+const scheduleRoutes = require('./src/routes/schedules.js');
+const notifyRoutes = require('./src/routes/notify.js');
+const templateRoutes = require('./src/routes/templates.js');
+const apiKeyRoutes = require('./src/routes/apiKeys.js');
+const webhookRoutes = require('./src/routes/webhooks.js');
 
 // Initialize express app
 const app = express();
 
-// Configure CORS to allow all origins (for development)
+// Configure CORS (CORS_ORIGIN, comma separated - defaults to all origins for development)
 app.use(cors({
-  origin: '*'
+  origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : '*'
 }));
 
 // Add express.json() middleware for parsing JSON requests
-app.use(express.json());
+// The limit is raised so base64 media and attachments fit in the body
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 
 // Serve static files from frontend directory
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// Health check route
+// Every API request needs an API key (sets req.tenant)
+app.use('/api', authenticate);
+
+// Health check route - sessions and SMTP accounts are limited to the caller's tenant
 app.get('/api/health', (req, res) => {
+  const sessionIds = Array.from(activeSessions.keys())
+    .filter(sessionId => canAccess(req.tenant, 'sessions', sessionId));
+  const canUseDefaultSmtp = canAccess(req.tenant, 'smtpAccounts', 'default');
+  const smtpAccounts = getSmtpStatus(account => canAccess(req.tenant, 'smtpAccounts', account.accountId));
+
   res.json({ 
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV,
+    tenantId: req.tenant.id,
     services: {
       whatsapp: {
-        activeSessions: activeSessions.size,
-        sessions: Array.from(activeSessions.keys()).map(sessionId => ({
+        activeSessions: sessionIds.length,
+        sessions: sessionIds.map(sessionId => ({
           sessionId,
           connected: activeSessions.get(sessionId)?.isConnected || false
         }))
       },
       email: {
-        configured: !!(process.env.SMTP_USER && process.env.SMTP_PASS),
-        provider: process.env.SMTP_HOST
+        configured: canUseDefaultSmtp && isDefaultAccountConfigured(),
+        provider: canUseDefaultSmtp ? process.env.SMTP_HOST : undefined,
+        status: smtpAccounts.some(account => account.status === 'failed') ? 'degraded' : 'ok',
+        accounts: smtpAccounts
       }
     },
     memory: {
@@ -53,7 +78,13 @@ app.get('/api/health', (req, res) => {
 
 // Register routes
 app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/email/accounts', emailAccountRoutes);
 app.use('/api/email', emailRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/notify', notifyRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // 404 handler for unknown routes
 app.use((req, res) => {
@@ -72,26 +103,58 @@ const server = app.listen(PORT, () => {
   logger.info('Server running on port', PORT);
   logger.info('WhatsApp API: http://localhost:' + PORT + '/api/whatsapp');
   logger.info('Email API: http://localhost:' + PORT + '/api/email');
+  logger.info('Schedules API: http://localhost:' + PORT + '/api/schedules');
+  logger.info('Notify API: http://localhost:' + PORT + '/api/notify');
+  logger.info('Templates API: http://localhost:' + PORT + '/api/templates');
+  logger.info('API Keys API: http://localhost:' + PORT + '/api/keys');
+  logger.info('Webhooks API: http://localhost:' + PORT + '/api/webhooks');
+  
+  // Retry webhook deliveries that were pending before the restart
+  startWebhooks();
+  
+  // Check the SMTP account from .env now, so problems show up on /api/health before the first send
+  if (isDefaultAccountConfigured()) {
+    verifyAccount(getDefaultAccount());
+  }
+  
+  // Reconnect WhatsApp sessions whose credentials were saved before the restart, then send
+  // schedules that became due while the server was down (so they don't all find their session offline)
+  restoreSessions()
+    .catch(err => logger.error('Session restore failed:', err))
+    .finally(() => startScheduler());
 });
 
+// What happens to WhatsApp sessions on shutdown: 'suspend' (default, keep credentials) or 'logout'
+const SHUTDOWN_MODE = process.env.WHATSAPP_SHUTDOWN_MODE === 'logout' ? 'logout' : 'suspend';
+
 /**
  * Cleanup function for graceful shutdown
  */
 async function cleanup() {
   logger.info('Shutting down gracefully...');
 
-  // Close all active WhatsApp sessions
-  for (const [sessionId, session] of activeSessions.entries()) {
-    try {
-      if (session.socket) {
-        await session.socket.logout();
+  // Close all active WhatsApp sessions - suspended sessions keep their credentials
+  // and are restored on the next start (WHATSAPP_SHUTDOWN_MODE=logout unlinks them instead)
+  if (SHUTDOWN_MODE === 'logout') {
+    for (const sessionId of Array.from(activeSessions.keys())) {
+      try {
+        await logoutSession(sessionId);
         logger.info(`Logged out session: ${sessionId}`);
+      } catch (err) {
+        logger.error(`Error closing session ${sessionId}:`, err);
       }
-    } catch (err) {
-      logger.error(`Error closing session ${sessionId}:`, err);
     }
+  } else {
+    const suspended = suspendAllSessions();
+    logger.info(`Suspended ${suspended.length} WhatsApp session(s)`);
   }
   
+  // Close pooled SMTP connections
+  closeAllTransporters();
+  
+  // Write pending data (inbox, queues, ...) to disk
+  flushAllStores();
+  
   // Close server
   server.close(() => {
     logger.info('Server closed');
@@ -0,0 +1,25 @@
+/**
+ * Email configuration
+ * Limits for recipients and attachments sent through the HTTP API
+ */
+const MB = 1024 * 1024;
+
+// Recipients per email (to, cc and bcc together)
+const EMAIL_MAX_RECIPIENTS = parseInt(process.env.EMAIL_MAX_RECIPIENTS) || 50;
+
+// Combined size of all attachments of one email - most providers reject messages above ~25 MB
+// once attachments are base64 encoded, so the default leaves room for that overhead
+const EMAIL_ATTACHMENTS_MAX_SIZE = (parseInt(process.env.EMAIL_ATTACHMENTS_MAX_MB) || 18) * MB;
+
+// Attachments per email
+const EMAIL_ATTACHMENTS_MAX_COUNT = parseInt(process.env.EMAIL_ATTACHMENTS_MAX_COUNT) || 10;
+
+// Deprecated: accept an inline accountConfig (password included) instead of a stored accountId
+const ALLOW_INLINE_SMTP_CONFIG = process.env.ALLOW_INLINE_SMTP_CONFIG === 'true';
+
+module.exports = {
+  EMAIL_MAX_RECIPIENTS,
+  EMAIL_ATTACHMENTS_MAX_SIZE,
+  EMAIL_ATTACHMENTS_MAX_COUNT,
+  ALLOW_INLINE_SMTP_CONFIG
+};
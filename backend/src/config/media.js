@@ -0,0 +1,70 @@
+/**
+ * Media configuration for WhatsApp messages
+ * Allowed mime types and maximum size (in bytes) for each media kind
+ */
+const MB = 1024 * 1024;
+
+const MEDIA_TYPES = {
+  image: {
+    mimetypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxSize: 5 * MB
+  },
+  video: {
+    mimetypes: ['video/mp4', 'video/3gpp'],
+    maxSize: 16 * MB
+  },
+  audio: {
+    mimetypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg', 'audio/ogg; codecs=opus'],
+    maxSize: 16 * MB
+  },
+  document: {
+    mimetypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/zip',
+      'text/plain',
+      'text/csv'
+    ],
+    maxSize: 100 * MB
+  }
+};
+
+// Used to guess the mime type when only a file name or path is given
+const EXTENSION_MIMETYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.aac': 'audio/aac',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.amr': 'audio/amr',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+// Largest allowed upload across all media kinds (used for multer limits)
+const MAX_MEDIA_SIZE = Math.max(...Object.values(MEDIA_TYPES).map(type => type.maxSize));
+
+module.exports = {
+  MEDIA_TYPES,
+  EXTENSION_MIMETYPES,
+  MAX_MEDIA_SIZE
+};
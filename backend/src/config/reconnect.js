@@ -0,0 +1,42 @@
+/**
+ * Reconnect policy for WhatsApp sessions
+ * Defaults for every session; POST /api/whatsapp/connect/:sessionId can override them per session.
+ * Status codes are Baileys disconnect codes (lastDisconnect.error.output.statusCode).
+ */
+
+/**
+ * Helper function to parse a comma separated list of status codes
+ * @param {string} value - e.g. "408,428,515"
+ * @returns {Array<number>|null} - Status codes or null if empty
+ */
+function parseStatusCodes(value) {
+  const codes = String(value || '')
+    .split(',')
+    .map(code => parseInt(code.trim(), 10))
+    .filter(code => !isNaN(code));
+  return codes.length > 0 ? codes : null;
+}
+
+const DEFAULT_RECONNECT_POLICY = {
+  // 408 timed out, 428 connection closed, 500 bad session, 503 unavailable, 515 restart required
+  retryableStatusCodes: parseStatusCodes(process.env.WHATSAPP_RECONNECT_STATUS_CODES) || [408, 428, 500, 503, 515],
+  // Delay before attempt n: baseDelayMs * 2^(n - 1), capped at maxDelayMs
+  baseDelayMs: parseInt(process.env.WHATSAPP_RECONNECT_BASE_MS) || 2000,
+  maxDelayMs: parseInt(process.env.WHATSAPP_RECONNECT_MAX_MS) || 300000,
+  // Attempts before the session is marked as failed (0 = never give up)
+  maxAttempts: process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS !== undefined
+    ? parseInt(process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS) || 0
+    : 10,
+  // Random +/- share of the delay so sessions don't all reconnect at the same moment
+  jitter: process.env.WHATSAPP_RECONNECT_JITTER !== undefined
+    ? parseFloat(process.env.WHATSAPP_RECONNECT_JITTER) || 0
+    : 0.2
+};
+
+// Never retried: logged out (401) and replaced by another connection (440)
+const NON_RETRYABLE_STATUS_CODES = [401, 440];
+
+module.exports = {
+  DEFAULT_RECONNECT_POLICY,
+  NON_RETRYABLE_STATUS_CODES
+};
@@ -0,0 +1,190 @@
+const {
+  AUTH_ENABLED,
+  ADMIN_TENANT_ID,
+  authenticateApiKey,
+  getOwner,
+  assignOwner,
+  canAccess
+} = require('../services/tenantService');
+const { activeSessions } = require('../services/whatsappService');
+const { DEFAULT_ACCOUNT_ID, hasAccount } = require('../services/smtpAccountService');
+const { ALLOW_INLINE_SMTP_CONFIG } = require('../config/email');
+const { getAuthStateStore } = require('../utils/authStateStore');
+const { isValidSessionId } = require('./validation');
+
+/**
+ * Helper function to read the API key of a request
+ * Header X-API-Key or Authorization: Bearer <key>; the apiKey query parameter is
+ * accepted for clients that can't set headers (EventSource, <img src>).
+ * @param {Object} req - Express request object
+ * @returns {string|null} - API key
+ */
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+
+  return req.get('x-api-key') || (bearer && bearer[1].trim()) || req.query.apiKey || null;
+}
+
+/**
+ * Authentication middleware - sets req.tenant = { id, admin, keyId }
+ * With API_AUTH_ENABLED=false every request acts as the admin tenant.
+ */
+function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.tenant = { id: ADMIN_TENANT_ID, admin: true, keyId: null };
+    return next();
+  }
+
+  const apiKey = getRequestApiKey(req);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key required (X-API-Key header or Authorization: Bearer <key>)'
+    });
+  }
+
+  const tenant = authenticateApiKey(apiKey);
+
+  if (!tenant) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.tenant = tenant;
+  next();
+}
+
+/**
+ * Only allow admin keys
+ */
+function requireAdmin(req, res, next) {
+  if (!req.tenant?.admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API key required'
+    });
+  }
+  next();
+}
+
+/**
+ * Session ownership check for router.param('sessionId')
+ * Sessions of other tenants look like they don't exist. Routes that start a session
+ * (claimRoutes) assign a new session ID to the caller; an ID that is unowned but
+ * already in use (e.g. from before API keys were enabled) stays admin only.
+ * @param {Array<string>} claimRoutes - First path segments of POST routes that may claim a session
+ * @returns {Function} - router.param callback
+ */
+function authorizeSession(claimRoutes = []) {
+  return async (req, res, next, sessionId) => {
+    try {
+      // Already checked for this request (a route with sessionId in several places)
+      if (req.authorizedSessionId === sessionId) {
+        return next();
+      }
+
+      if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'sessionId may only contain letters, digits, _ and - (max 64 characters)'
+        });
+      }
+
+      const owner = getOwner('sessions', sessionId);
+
+      if (!owner) {
+        const claim = req.method === 'POST' && claimRoutes.includes(req.path.split('/')[1]);
+        const inUse = activeSessions.has(sessionId) || await getAuthStateStore().hasSession(sessionId);
+
+        if (claim && (!inUse || req.tenant.admin)) {
+          assignOwner('sessions', sessionId, req.tenant.id);
+        } else if (!req.tenant.admin) {
+          return res.status(404).json({
+            success: false,
+            error: `Session ${sessionId} not found`
+          });
+        }
+      } else if (!canAccess(req.tenant, 'sessions', sessionId)) {
+        return res.status(404).json({
+          success: false,
+          error: `Session ${sessionId} not found`
+        });
+      }
+
+      req.authorizedSessionId = sessionId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * SMTP account check for routes that send email
+ * The account is picked with accountId (default: the account from .env) and must belong
+ * to the caller; sets req.smtpAccountId. Requests that bring their own accountConfig are
+ * rejected unless ALLOW_INLINE_SMTP_CONFIG=true (req.smtpAccountId stays null).
+ * @param {Function} usesAccount - (req) => true if the request sends email (optional)
+ * @returns {Function} - Express middleware
+ */
+function authorizeSmtpAccount(usesAccount = () => true) {
+  return (req, res, next) => {
+    const { accountId, accountConfig } = req.body;
+    req.smtpAccountId = null;
+
+    if (accountId !== undefined && accountConfig) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either accountId or accountConfig, not both'
+      });
+    }
+
+    if (accountConfig && !ALLOW_INLINE_SMTP_CONFIG) {
+      return res.status(400).json({
+        success: false,
+        error: 'Inline accountConfig is disabled - store the account under /api/email/accounts and send with accountId'
+      });
+    }
+
+    if (accountConfig) {
+      // An inline account must not pass itself off as a stored one on /api/health
+      delete accountConfig.id;
+      return next();
+    }
+
+    if (!usesAccount(req)) {
+      return next();
+    }
+
+    const smtpAccountId = accountId ?? DEFAULT_ACCOUNT_ID;
+
+    if (smtpAccountId === DEFAULT_ACCOUNT_ID) {
+      if (!canAccess(req.tenant, 'smtpAccounts', DEFAULT_ACCOUNT_ID)) {
+        return res.status(403).json({
+          success: false,
+          error: 'The default SMTP account is not available to this API key - provide accountId or accountConfig'
+        });
+      }
+    } else if (typeof smtpAccountId !== 'string' || !hasAccount(smtpAccountId) ||
+        !canAccess(req.tenant, 'smtpAccounts', smtpAccountId)) {
+      return res.status(404).json({
+        success: false,
+        error: `SMTP account ${smtpAccountId} not found`
+      });
+    }
+
+    req.smtpAccountId = smtpAccountId;
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  authorizeSession,
+  authorizeSmtpAccount
+};
@@ -0,0 +1,61 @@
+const { renderTemplateForChannel } = require('../services/templateService');
+
+/**
+ * Template middleware factory for send routes
+ * When the request has templateId (+ variables), the template is rendered and the
+ * result fills the message fields that were not given explicitly:
+ * - whatsapp: message
+ * - email: subject, text, html
+ * Only templates of the caller's tenant can be used.
+ * Must run before the validation middleware of the route.
+ * @param {string} channel - 'whatsapp' or 'email'
+ * @returns {Function} - Express middleware
+ */
+function applyTemplate(channel) {
+  return (req, res, next) => {
+    const { templateId } = req.body;
+    let { variables } = req.body;
+
+    if (!templateId) {
+      return next();
+    }
+
+    // Multipart requests send variables as a JSON string
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'variables must be a JSON object'
+        });
+      }
+    }
+
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return res.status(400).json({
+        error: 'variables must be an object'
+      });
+    }
+
+    let rendered;
+    try {
+      rendered = renderTemplateForChannel(templateId, req.tenant, channel, variables);
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({
+        error: err.message
+      });
+    }
+
+    for (const [field, value] of Object.entries(rendered)) {
+      if (value !== undefined && (req.body[field] === undefined || req.body[field] === '')) {
+        req.body[field] = value;
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  applyTemplate
+};
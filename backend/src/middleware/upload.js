@@ -0,0 +1,73 @@
+const multer = require('multer');
+const { MAX_MEDIA_SIZE } = require('../config/media');
+const { EMAIL_ATTACHMENTS_MAX_SIZE, EMAIL_ATTACHMENTS_MAX_COUNT } = require('../config/email');
+
+// Keep uploads in memory - files are forwarded straight to WhatsApp
+const mediaUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_MEDIA_SIZE,
+    files: 1
+  }
+}).single('media');
+
+// Email attachments - the combined size is checked in validateEmail
+const attachmentUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: EMAIL_ATTACHMENTS_MAX_SIZE,
+    files: EMAIL_ATTACHMENTS_MAX_COUNT
+  }
+}).array('attachments', EMAIL_ATTACHMENTS_MAX_COUNT);
+
+/**
+ * Upload middleware for WhatsApp media
+ * Accepts an optional multipart file in the "media" field and exposes it as req.file.
+ * JSON requests pass through untouched.
+ */
+function uploadMedia(req, res, next) {
+  mediaUploader(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === 'LIMIT_FILE_SIZE'
+          ? `Media file is too large (max ${Math.round(MAX_MEDIA_SIZE / 1024 / 1024)} MB)`
+          : `Invalid media upload: ${err.message}`
+      });
+    }
+
+    next();
+  });
+}
+
+/**
+ * Upload middleware for email attachments
+ * Accepts optional multipart files in the "attachments" field and exposes them as req.files.
+ * JSON requests pass through untouched.
+ */
+function uploadAttachments(req, res, next) {
+  attachmentUploader(req, res, (err) => {
+    if (err) {
+      let error = `Invalid attachment upload: ${err.message}`;
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        // The per-file limit is the total limit - the combined size is checked in validateEmail
+        error = `An attachment is larger than ${Math.round(EMAIL_ATTACHMENTS_MAX_SIZE / 1024 / 1024)} MB, the limit for all attachments together`;
+      } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        error = `Upload at most ${EMAIL_ATTACHMENTS_MAX_COUNT} files in the "attachments" field`;
+      }
+
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    next();
+  });
+}
+
+module.exports = {
+  uploadMedia,
+  uploadAttachments
+};
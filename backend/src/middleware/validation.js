@@ -1,39 +1,728 @@
+const fs = require('fs');
+const path = require('path');
+const { MEDIA_TYPES, EXTENSION_MIMETYPES } = require('../config/media');
+const addressparser = require('nodemailer/lib/addressparser');
+const { EMAIL_MAX_RECIPIENTS, EMAIL_ATTACHMENTS_MAX_SIZE, EMAIL_ATTACHMENTS_MAX_COUNT } = require('../config/email');
+const { DEFAULT_RECONNECT_POLICY, NON_RETRYABLE_STATUS_CODES } = require('../config/reconnect');
+
+// Session IDs end up in folder and file names (auth_sessions/<id>, data/inbox/<id>.json, ...)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Helper function to validate a WhatsApp session ID
+ * @param {string} sessionId - Session ID from the URL
+ * @returns {boolean} - True if the ID only uses letters, digits, _ and - (max 64 characters)
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
 /**
  * Helper function to validate email format
- * @param {string} email - Email address to validate
+ * Checks the length limits of RFC 5321, the characters of an unquoted local part and
+ * that the domain is made of valid labels with a top-level domain (IDNs are allowed).
+ * @param {string} email - Email address to validate (without display name)
  * @returns {boolean} - True if email is valid, false otherwise
  */
 function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+  if (typeof email !== 'string' || email.length > 254) {
+    return false;
+  }
+
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (at < 1 || local.length > 64 || domain.length > 253) {
+    return false;
+  }
+
+  const localRegex = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+  const domainRegex = /^([\p{L}\p{N}]([\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+([\p{L}]{2,63}|xn--[a-zA-Z0-9-]{1,59})$/u;
+
+  return localRegex.test(local) && domainRegex.test(domain);
+}
+
+/**
+ * Helper function to parse and validate a recipient field (to, cc or bcc)
+ * Accepts a comma separated string, an array of strings or an array of { name, address },
+ * with or without display names ("Jane Doe <jane@example.com>").
+ * @param {string|Array} value - Field value
+ * @param {string} field - Field name for error messages
+ * @returns {{ error: string|null, addresses: Array<Object> }} - Validation error or [{ name, address }]
+ */
+function parseEmailAddresses(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return { error: null, addresses: [] };
+  }
+
+  const entries = Array.isArray(value) ? value : [value];
+  const addresses = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    let parsed;
+
+    if (typeof entry === 'string') {
+      parsed = addressparser(entry, { flatten: true });
+    } else if (entry && typeof entry === 'object' && typeof entry.address === 'string') {
+      parsed = [{ name: typeof entry.name === 'string' ? entry.name : '', address: entry.address }];
+    } else {
+      return { error: `${field} must be an email address, a list of addresses or [{ name, address }]`, addresses: [] };
+    }
+
+    if (parsed.length === 0) {
+      return { error: `Invalid email address in ${field}: ${JSON.stringify(entry)}`, addresses: [] };
+    }
+
+    for (const { name, address } of parsed) {
+      const trimmed = String(address || '').trim();
+
+      if (!isValidEmail(trimmed)) {
+        return { error: `Invalid email address in ${field}: ${trimmed || name || JSON.stringify(entry)}`, addresses: [] };
+      }
+
+      // The same address twice in one field would be sent to twice
+      if (!seen.has(trimmed.toLowerCase())) {
+        seen.add(trimmed.toLowerCase());
+        addresses.push({ name: String(name || '').trim(), address: trimmed });
+      }
+    }
+  }
+
+  return { error: null, addresses };
+}
+
+/**
+ * Helper function to guess a mime type from a file name or path
+ * @param {string} fileName - File name or path
+ * @returns {string|null} - Mime type or null if unknown
+ */
+function getMimetypeFromFileName(fileName) {
+  if (!fileName) {
+    return null;
+  }
+  return EXTENSION_MIMETYPES[path.extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Helper function to resolve and validate media attached to a WhatsApp message
+ * Media can be supplied as a multipart upload (req.file), base64 (mediaBase64)
+ * or a local file path (mediaPath).
+ * @param {Object} req - Express request object
+ * @returns {{ error: string|null, media: Object|null }} - Validation error or normalized media
+ */
+function resolveMedia(req) {
+  const { mediaType, mediaBase64, mediaPath, fileName, ptt } = req.body;
+  let { mimetype } = req.body;
+
+  const sources = [req.file, mediaBase64, mediaPath].filter(Boolean);
+
+  if (sources.length === 0) {
+    if (mediaType) {
+      return { error: 'mediaType was given but no media was provided (upload a file, mediaBase64 or mediaPath)', media: null };
+    }
+    return { error: null, media: null };
+  }
+
+  if (sources.length > 1) {
+    return { error: 'Provide only one media source: file upload, mediaBase64 or mediaPath', media: null };
+  }
+
+  const mediaConfig = MEDIA_TYPES[mediaType];
+  if (!mediaConfig) {
+    return { error: `mediaType must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}`, media: null };
+  }
+
+  const media = {
+    type: mediaType,
+    fileName: fileName || null,
+    ptt: mediaType === 'audio' && (ptt === true || ptt === 'true')
+  };
+  let size;
+
+  if (req.file) {
+    media.buffer = req.file.buffer;
+    media.fileName = media.fileName || req.file.originalname;
+    mimetype = mimetype || req.file.mimetype;
+    size = req.file.size;
+  } else if (mediaBase64) {
+    // Accept both raw base64 and data URIs (data:image/png;base64,....)
+    const dataUriMatch = /^data:([^;,]+)(?:;[^,]*)?;base64,/.exec(mediaBase64);
+    if (dataUriMatch) {
+      mimetype = mimetype || dataUriMatch[1];
+    }
+    media.buffer = Buffer.from(mediaBase64.slice(dataUriMatch ? dataUriMatch[0].length : 0), 'base64');
+    size = media.buffer.length;
+
+    if (size === 0) {
+      return { error: 'mediaBase64 is empty or not valid base64', media: null };
+    }
+  } else {
+    if (!process.env.WHATSAPP_MEDIA_ROOT) {
+      return { error: 'mediaPath is disabled. Set WHATSAPP_MEDIA_ROOT to enable it', media: null };
+    }
+
+    // Compare real paths so that symlinks inside the root cannot point outside of it.
+    // The error never echoes the path, so it cannot be used to probe for files.
+    let resolvedPath;
+    let stats;
+    try {
+      const mediaRoot = fs.realpathSync(process.env.WHATSAPP_MEDIA_ROOT);
+      resolvedPath = fs.realpathSync(path.resolve(mediaRoot, mediaPath));
+
+      if (!resolvedPath.startsWith(mediaRoot + path.sep)) {
+        throw new Error('outside of media root');
+      }
+
+      stats = fs.statSync(resolvedPath);
+    } catch (err) {
+      stats = null;
+    }
+
+    if (!stats || !stats.isFile()) {
+      return { error: 'mediaPath must be an existing file inside WHATSAPP_MEDIA_ROOT', media: null };
+    }
+
+    media.path = resolvedPath;
+    media.fileName = media.fileName || path.basename(resolvedPath);
+    size = stats.size;
+  }
+
+  mimetype = mimetype || getMimetypeFromFileName(media.fileName);
+
+  if (!mimetype) {
+    return { error: 'Could not determine media mime type. Please provide mimetype', media: null };
+  }
+
+  if (!mediaConfig.mimetypes.includes(mimetype.toLowerCase())) {
+    return {
+      error: `Unsupported mime type ${mimetype} for ${mediaType}. Allowed: ${mediaConfig.mimetypes.join(', ')}`,
+      media: null
+    };
+  }
+
+  if (size > mediaConfig.maxSize) {
+    return {
+      error: `${mediaType} is too large (${Math.ceil(size / 1024)} KB). Max size is ${Math.round(mediaConfig.maxSize / 1024 / 1024)} MB`,
+      media: null
+    };
+  }
+
+  media.mimetype = mimetype.toLowerCase();
+  media.size = size;
+
+  return { error: null, media };
+}
+
+/**
+ * Helper function to resolve and validate email attachments
+ * Attachments can be multipart uploads (req.files, field "attachments") or base64 JSON:
+ * attachments: [{ filename, content, contentType, cid }] - content may be a data URI.
+ * Upload content IDs (for inline images) come from the contentIds field: { "logo.png": "logo" }.
+ * Only buffers are handed to nodemailer, never paths or URLs from the request.
+ * @param {Object} req - Express request object
+ * @returns {{ error: string|null, attachments: Array<Object> }} - Validation error or normalized attachments
+ */
+function resolveAttachments(req) {
+  const uploads = req.files || [];
+  let { attachments, contentIds } = req.body;
+
+  if (uploads.length > 0 && attachments !== undefined) {
+    return { error: 'Provide attachments either as file uploads or as base64 JSON, not both', attachments: [] };
+  }
+
+  if (uploads.length > 0) {
+    // Multipart text fields are strings
+    if (typeof contentIds === 'string') {
+      try {
+        contentIds = JSON.parse(contentIds);
+      } catch (err) {
+        return { error: 'contentIds must be a JSON object of file name -> content ID', attachments: [] };
+      }
+    }
+
+    attachments = uploads.map(file => ({
+      filename: file.originalname,
+      content: file.buffer,
+      contentType: file.mimetype,
+      cid: contentIds && contentIds[file.originalname]
+    }));
+  } else if (attachments === undefined || attachments === null) {
+    return { error: null, attachments: [] };
+  } else if (!Array.isArray(attachments)) {
+    return { error: 'attachments must be an array of { filename, content, contentType, cid }', attachments: [] };
+  }
+
+  if (attachments.length > EMAIL_ATTACHMENTS_MAX_COUNT) {
+    return { error: `At most ${EMAIL_ATTACHMENTS_MAX_COUNT} attachments are allowed`, attachments: [] };
+  }
+
+  const normalized = [];
+  let totalSize = 0;
+
+  for (const [index, attachment] of attachments.entries()) {
+    const label = `attachments[${index}]`;
+
+    if (!attachment || typeof attachment !== 'object') {
+      return { error: `${label} must be an object`, attachments: [] };
+    }
+
+    const { filename, cid } = attachment;
+    let { content, contentType } = attachment;
+
+    if (!filename || typeof filename !== 'string') {
+      return { error: `${label}.filename is required`, attachments: [] };
+    }
+
+    if (!Buffer.isBuffer(content)) {
+      if (!content || typeof content !== 'string') {
+        return { error: `${label}.content is required (base64)`, attachments: [] };
+      }
+
+      // Accept both raw base64 and data URIs (data:image/png;base64,....)
+      const dataUriMatch = /^data:([^;,]+)(?:;[^,]*)?;base64,/.exec(content);
+      if (dataUriMatch) {
+        contentType = contentType || dataUriMatch[1];
+      }
+      content = Buffer.from(content.slice(dataUriMatch ? dataUriMatch[0].length : 0), 'base64');
+
+      if (content.length === 0) {
+        return { error: `${label}.content is empty or not valid base64`, attachments: [] };
+      }
+    }
+
+    contentType = contentType || getMimetypeFromFileName(filename) || 'application/octet-stream';
+
+    if (typeof contentType !== 'string' || !/^[\w.+-]+\/[\w.+-]+(\s*;.*)?$/.test(contentType)) {
+      return { error: `${label}.contentType is not a valid mime type`, attachments: [] };
+    }
+
+    if (cid !== undefined && cid !== null && (typeof cid !== 'string' || !/^[^\s<>]{1,255}$/.test(cid))) {
+      return { error: `${label}.cid must be a content ID without spaces or <>`, attachments: [] };
+    }
+
+    totalSize += content.length;
+
+    normalized.push({
+      filename: path.basename(filename.trim()),
+      content,
+      contentType: contentType.toLowerCase(),
+      ...(cid && { cid })
+    });
+  }
+
+  if (totalSize > EMAIL_ATTACHMENTS_MAX_SIZE) {
+    return {
+      error: `Attachments are too large (${Math.ceil(totalSize / 1024)} KB). Max total size is ${Math.round(EMAIL_ATTACHMENTS_MAX_SIZE / 1024 / 1024)} MB`,
+      attachments: []
+    };
+  }
+
+  return { error: null, attachments: normalized };
+}
+
+/**
+ * Helper function to normalize a WhatsApp group ID
+ * Accepts "120363025246125486@g.us", "120363025246125486" or the legacy "1234567890-1600000000" form
+ * @param {string} groupId - Group ID
+ * @returns {string|null} - Group JID or null if invalid
+ */
+function normalizeGroupId(groupId) {
+  const match = /^(\d{5,20}(?:-\d{5,20})?)(?:@g\.us)?$/.exec(String(groupId).trim());
+  return match ? `${match[1]}@g.us` : null;
 }
 
 /**
  * Validation middleware for WhatsApp messages
- * Validates phoneNumber and message fields
+ * Validates the recipient (phoneNumber or groupId), message and optional media.
+ * On success the recipient (phone number or group JID) is available as req.recipient
+ * and the normalized media (if any) as req.media
  */
 function validateWhatsAppMessage(req, res, next) {
-  const { phoneNumber, message } = req.body;
+  const { phoneNumber, groupId, message } = req.body;
+  
+  if (groupId) {
+    // Group recipient
+    if (phoneNumber) {
+      return res.status(400).json({
+        error: 'Provide either phoneNumber or groupId, not both'
+      });
+    }
+    
+    req.recipient = normalizeGroupId(groupId);
+    if (!req.recipient) {
+      return res.status(400).json({
+        error: 'groupId must be a WhatsApp group ID (e.g. 120363025246125486@g.us)'
+      });
+    }
+  } else {
+    // Check phoneNumber exists and is not empty
+    if (!phoneNumber || phoneNumber.trim() === '') {
+      return res.status(400).json({
+        error: 'phoneNumber (or groupId) is required and cannot be empty'
+      });
+    }
+    
+    // Validate phoneNumber format (digits only, 10-15 characters)
+    const digitsOnly = phoneNumber.replace(/\D/g, '');
+    if (digitsOnly.length < 10 || digitsOnly.length > 15) {
+      return res.status(400).json({
+        error: 'phoneNumber must contain 10-15 digits'
+      });
+    }
+    
+    req.recipient = phoneNumber;
+  }
   
-  // Check phoneNumber exists and is not empty
-  if (!phoneNumber || phoneNumber.trim() === '') {
+  // Validate media (if any)
+  const { error: mediaError, media } = resolveMedia(req);
+  if (mediaError) {
     return res.status(400).json({
-      error: 'phoneNumber is required and cannot be empty'
+      error: mediaError
     });
   }
   
-  // Check message exists and is not empty
-  if (!message || message.trim() === '') {
+  // Check message exists and is not empty (optional caption when media is attached)
+  if (!media && (!message || message.trim() === '')) {
     return res.status(400).json({
       error: 'message is required and cannot be empty'
     });
   }
   
-  // Validate phoneNumber format (digits only, 10-15 characters)
-  const digitsOnly = phoneNumber.replace(/\D/g, '');
+  // Audio messages cannot carry a caption
+  if (media && media.type === 'audio' && message && message.trim() !== '') {
+    return res.status(400).json({
+      error: 'Audio messages do not support a caption. Send the text as a separate message'
+    });
+  }
+  
+  req.media = media;
+  
+  // If validation passes, continue to next middleware
+  next();
+}
+
+/**
+ * Validation middleware for pairing code logins
+ * Body: { phoneNumber } - the WhatsApp account to link, with country code
+ */
+function validatePairingRequest(req, res, next) {
+  const { phoneNumber } = req.body;
+  
+  if (!phoneNumber) {
+    return res.status(400).json({
+      error: 'phoneNumber is required'
+    });
+  }
+  
+  // Validate phone number format (digits only, 10-15 characters)
+  const digitsOnly = String(phoneNumber).replace(/\D/g, '');
   if (digitsOnly.length < 10 || digitsOnly.length > 15) {
     return res.status(400).json({
-      error: 'phoneNumber must contain 10-15 digits'
+      error: 'phoneNumber must contain 10-15 digits (include the country code)'
+    });
+  }
+  
+  req.pairingPhoneNumber = digitsOnly;
+  
+  // If validation passes, continue to next middleware
+  next();
+}
+
+/**
+ * Validation middleware for WhatsApp number checks
+ * Accepts phoneNumber (single) or phoneNumbers (array, max 50)
+ * On success the list of numbers is available as req.phoneNumbers
+ */
+function validateNumberCheck(req, res, next) {
+  const maxNumbers = 50;
+  const { phoneNumber, phoneNumbers } = req.body;
+  const numbers = phoneNumbers !== undefined ? phoneNumbers : phoneNumber ? [phoneNumber] : [];
+  
+  // Check at least one number was given
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    return res.status(400).json({
+      error: 'phoneNumber or phoneNumbers (non-empty array) is required'
+    });
+  }
+  
+  if (numbers.length > maxNumbers) {
+    return res.status(400).json({
+      error: `Too many phone numbers (${numbers.length}). Maximum is ${maxNumbers}`
+    });
+  }
+  
+  // Validate every number format (digits only, 10-15 characters)
+  const invalid = numbers.filter(number => {
+    const digitsOnly = String(number || '').replace(/\D/g, '');
+    return digitsOnly.length < 10 || digitsOnly.length > 15;
+  });
+  
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'phone numbers must contain 10-15 digits',
+      invalid
+    });
+  }
+  
+  req.phoneNumbers = numbers.map(String);
+  
+  // If validation passes, continue to next middleware
+  next();
+}
+
+/**
+ * Validation middleware for bulk WhatsApp messages
+ * Validates recipients ([{ phoneNumber, variables }] or plain phone numbers),
+ * message and optional media. Normalized values are set on req.recipients and req.media
+ */
+function validateBulkWhatsAppMessage(req, res, next) {
+  const maxRecipients = parseInt(process.env.BULK_MAX_RECIPIENTS) || 1000;
+  const { message } = req.body;
+  let { recipients } = req.body;
+  
+  // Multipart requests send the recipients list as a JSON string
+  if (typeof recipients === 'string') {
+    try {
+      recipients = JSON.parse(recipients);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'recipients must be a JSON array'
+      });
+    }
+  }
+  
+  // Check recipients is a non-empty array within the limit
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return res.status(400).json({
+      error: 'recipients is required and must be a non-empty array'
+    });
+  }
+  
+  if (recipients.length > maxRecipients) {
+    return res.status(400).json({
+      error: `Too many recipients (${recipients.length}). Maximum is ${maxRecipients}`
+    });
+  }
+  
+  // Normalize and validate every recipient, reporting all invalid entries at once
+  const invalid = [];
+  const normalized = recipients.map((recipient, index) => {
+    const entry = typeof recipient === 'string' ? { phoneNumber: recipient } : recipient || {};
+    const digitsOnly = String(entry.phoneNumber || '').replace(/\D/g, '');
+    
+    if (digitsOnly.length < 10 || digitsOnly.length > 15) {
+      invalid.push({ index, phoneNumber: entry.phoneNumber || null, error: 'phoneNumber must contain 10-15 digits' });
+    } else if (entry.variables !== undefined && (typeof entry.variables !== 'object' || Array.isArray(entry.variables))) {
+      invalid.push({ index, phoneNumber: entry.phoneNumber, error: 'variables must be an object' });
+    }
+    
+    return { phoneNumber: String(entry.phoneNumber), variables: entry.variables || {} };
+  });
+  
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Some recipients are invalid',
+      invalid
+    });
+  }
+  
+  // Validate media (if any)
+  const { error: mediaError, media } = resolveMedia(req);
+  if (mediaError) {
+    return res.status(400).json({
+      error: mediaError
+    });
+  }
+  
+  // Check message exists and is not empty (optional caption when media is attached)
+  if (!media && (!message || message.trim() === '')) {
+    return res.status(400).json({
+      error: 'message is required and cannot be empty'
+    });
+  }
+  
+  req.recipients = normalized;
+  req.media = media;
+  
+  // If validation passes, continue to next middleware
+  next();
+}
+
+/**
+ * Helper function to parse and validate a schedule time
+ * @param {string|number} value - ISO date or epoch milliseconds
+ * @returns {{ error: string|null, sendAt: Date|null }} - Validation error or parsed date
+ */
+function parseSendAt(value) {
+  const maxDays = parseInt(process.env.SCHEDULE_MAX_DAYS) || 365;
+  const sendAt = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  
+  if (Number.isNaN(sendAt.getTime())) {
+    return { error: 'sendAt must be an ISO date or epoch milliseconds', sendAt: null };
+  }
+  
+  if (sendAt.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future', sendAt: null };
+  }
+  
+  if (sendAt.getTime() - Date.now() > maxDays * 24 * 60 * 60 * 1000) {
+    return { error: `sendAt cannot be more than ${maxDays} days in the future`, sendAt: null };
+  }
+  
+  return { error: null, sendAt };
+}
+
+/**
+ * Helper function to parse and validate a per-session reconnect policy
+ * Missing fields fall back to DEFAULT_RECONNECT_POLICY (see config/reconnect.js)
+ * @param {Object} value - { retryableStatusCodes, baseDelayMs, maxDelayMs, maxAttempts, jitter }
+ * @returns {{ error: string|null, policy: Object|null }} - Validation error or complete policy
+ */
+function parseReconnectPolicy(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return { error: 'reconnectPolicy must be an object', policy: null };
+  }
+  
+  const policy = { ...DEFAULT_RECONNECT_POLICY, ...value };
+  
+  if (!Array.isArray(policy.retryableStatusCodes) ||
+      !policy.retryableStatusCodes.every(code => Number.isInteger(code))) {
+    return { error: 'reconnectPolicy.retryableStatusCodes must be an array of status codes', policy: null };
+  }
+  
+  const blocked = policy.retryableStatusCodes.filter(code => NON_RETRYABLE_STATUS_CODES.includes(code));
+  if (blocked.length > 0) {
+    return { error: `Status codes ${blocked.join(', ')} cannot be retried`, policy: null };
+  }
+  
+  for (const field of ['baseDelayMs', 'maxDelayMs', 'maxAttempts']) {
+    if (!Number.isInteger(policy[field]) || policy[field] < 0) {
+      return { error: `reconnectPolicy.${field} must be a non-negative integer`, policy: null };
+    }
+  }
+  
+  if (policy.baseDelayMs < 500 || policy.maxDelayMs < policy.baseDelayMs) {
+    return { error: 'reconnectPolicy needs baseDelayMs >= 500 and maxDelayMs >= baseDelayMs', policy: null };
+  }
+  
+  if (typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1) {
+    return { error: 'reconnectPolicy.jitter must be between 0 and 1', policy: null };
+  }
+  
+  return {
+    error: null,
+    policy: {
+      retryableStatusCodes: policy.retryableStatusCodes,
+      baseDelayMs: policy.baseDelayMs,
+      maxDelayMs: policy.maxDelayMs,
+      maxAttempts: policy.maxAttempts,
+      jitter: policy.jitter
+    }
+  };
+}
+
+/**
+ * Validation middleware for the optional reconnectPolicy field on connect
+ * On success the policy (or null to keep the current one) is available as req.reconnectPolicy
+ */
+function validateReconnectPolicy(req, res, next) {
+  const { reconnectPolicy } = req.body || {};
+  
+  if (reconnectPolicy === undefined || reconnectPolicy === null) {
+    req.reconnectPolicy = null;
+    return next();
+  }
+  
+  const { error, policy } = parseReconnectPolicy(reconnectPolicy);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  req.reconnectPolicy = policy;
+  next();
+}
+
+/**
+ * Validation middleware for the optional sendAt field (scheduled sends)
+ * On success the parsed date (or null when not scheduled) is available as req.sendAt
+ */
+function validateSendAt(req, res, next) {
+  const { sendAt } = req.body;
+  
+  if (sendAt === undefined || sendAt === null || sendAt === '') {
+    req.sendAt = null;
+    return next();
+  }
+  
+  const { error, sendAt: parsed } = parseSendAt(sendAt);
+  if (error) {
+    return res.status(400).json({
+      error
+    });
+  }
+  
+  req.sendAt = parsed;
+  next();
+}
+
+/**
+ * Validation middleware for unified notifications (/api/notify)
+ * Validates recipient (phoneNumber and/or email), channels order and message
+ */
+function validateNotification(req, res, next) {
+  const allowedChannels = ['whatsapp', 'email'];
+  const { recipient, channels, message } = req.body;
+  
+  // Check recipient has at least one address
+  if (!recipient || typeof recipient !== 'object' || (!recipient.phoneNumber && !recipient.email)) {
+    return res.status(400).json({
+      error: 'recipient with phoneNumber and/or email is required'
+    });
+  }
+  
+  // Validate phoneNumber format if given
+  if (recipient.phoneNumber) {
+    const digitsOnly = String(recipient.phoneNumber).replace(/\D/g, '');
+    if (digitsOnly.length < 10 || digitsOnly.length > 15) {
+      return res.status(400).json({
+        error: 'recipient.phoneNumber must contain 10-15 digits'
+      });
+    }
+  }
+  
+  // Validate email format if given
+  if (recipient.email && !isValidEmail(recipient.email)) {
+    return res.status(400).json({
+      error: 'Invalid email format for recipient.email'
+    });
+  }
+  
+  // Validate channel order
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+      return res.status(400).json({
+        error: 'channels must be a non-empty array'
+      });
+    }
+    
+    const unknown = channels.filter(channel => !allowedChannels.includes(channel));
+    if (unknown.length > 0 || new Set(channels).size !== channels.length) {
+      return res.status(400).json({
+        error: `channels must be unique values of: ${allowedChannels.join(', ')}`
+      });
+    }
+  }
+  
+  // Check message exists and is not empty
+  if (!message || message.trim() === '') {
+    return res.status(400).json({
+      error: 'message is required and cannot be empty'
     });
   }
   
@@ -43,13 +732,15 @@ function validateWhatsAppMessage(req, res, next) {
 
 /**
  * Validation middleware for email requests
- * Validates to, subject, and ensures at least one of text or html is provided
+ * Validates to/cc/bcc, subject, and ensures at least one of text or html is provided.
+ * Recipients are available as req.recipients ({ to, cc, bcc } lists of { name, address })
+ * and attachments (if any) as req.attachments.
  */
 function validateEmail(req, res, next) {
   const { to, subject, text, html } = req.body;
   
   // Check to exists
-  if (!to || to.trim() === '') {
+  if (!to || (typeof to === 'string' && to.trim() === '') || (Array.isArray(to) && to.length === 0)) {
     return res.status(400).json({
       error: 'Recipient email address (to) is required'
     });
@@ -62,10 +753,27 @@ function validateEmail(req, res, next) {
     });
   }
   
-  // Validate email format
-  if (!isValidEmail(to)) {
+  // Validate every address of to, cc and bcc
+  const recipients = {};
+  let recipientCount = 0;
+  
+  for (const field of ['to', 'cc', 'bcc']) {
+    const { error, addresses } = parseEmailAddresses(req.body[field], field);
+    if (error) {
+      return res.status(400).json({
+        error
+      });
+    }
+    
+    if (addresses.length > 0) {
+      recipients[field] = addresses;
+      recipientCount += addresses.length;
+    }
+  }
+  
+  if (recipientCount > EMAIL_MAX_RECIPIENTS) {
     return res.status(400).json({
-      error: 'Invalid email format for recipient (to)'
+      error: `Too many recipients (${recipientCount}). At most ${EMAIL_MAX_RECIPIENTS} are allowed across to, cc and bcc`
     });
   }
   
@@ -76,12 +784,36 @@ function validateEmail(req, res, next) {
     });
   }
   
+  // Validate attachments (uploads or base64)
+  const { error, attachments } = resolveAttachments(req);
+  if (error) {
+    return res.status(400).json({
+      error
+    });
+  }
+  req.recipients = recipients;
+  req.attachments = attachments;
+  
   // If validation passes, continue to next middleware
   next();
 }
 
 module.exports = {
+  isValidSessionId,
   isValidEmail,
+  parseEmailAddresses,
+  getMimetypeFromFileName,
+  resolveMedia,
+  resolveAttachments,
+  normalizeGroupId,
   validateWhatsAppMessage,
+  validatePairingRequest,
+  validateNumberCheck,
+  validateBulkWhatsAppMessage,
+  parseSendAt,
+  validateSendAt,
+  parseReconnectPolicy,
+  validateReconnectPolicy,
+  validateNotification,
   validateEmail
 };
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/tenantService');
+const { requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Keys for another tenant and admin keys can only be created with an admin key
+ */
+function requireAdminForForeignKeys(req, res, next) {
+  const { tenantId, admin } = req.body;
+
+  if ((tenantId && tenantId !== req.tenant.id) || admin === true) {
+    return requireAdmin(req, res, next);
+  }
+  next();
+}
+
+/**
+ * GET /api/keys
+ * List API keys - admins see every tenant (filter with ?tenantId=), others only their own
+ */
+router.get('/', (req, res) => {
+  try {
+    const tenantId = req.tenant.admin ? req.query.tenantId || null : req.tenant.id;
+    const keys = listApiKeys(tenantId);
+
+    res.json({
+      success: true,
+      tenantId: req.tenant.id,
+      count: keys.length,
+      keys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Create an API key - the plain key is only returned in this response
+ * Body: { tenantId: 'acme', name: 'CRM integration', admin: false }
+ * Non-admin keys can only create (non-admin) keys for their own tenant.
+ */
+router.post('/', requireAdminForForeignKeys, (req, res) => {
+  try {
+    const { name, admin } = req.body;
+    const tenantId = req.body.tenantId || req.tenant.id;
+
+    const key = createApiKey({ tenantId, name, admin });
+
+    res.status(201).json({
+      success: true,
+      ...key
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/:keyId', (req, res) => {
+  try {
+    const key = revokeApiKey(req.params.keyId, req.tenant.admin ? null : req.tenant.id);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { sendEmail, getDefaultAccount } = require('../services/emailService');
+const { sendEmail, getRecipientAddresses } = require('../services/emailService');
+const { getAccountConfig } = require('../services/smtpAccountService');
 const { emailLimiter } = require('../utils/rateLimiter');
-const { validateEmail } = require('../middleware/validation');
+const { createSchedule } = require('../services/schedulerService');
+const { validateEmail, validateSendAt } = require('../middleware/validation');
+const { applyTemplate } = require('../middleware/templates');
+const { authorizeSmtpAccount } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/upload');
 require('dotenv').config();
 
 /**
@@ -14,8 +19,10 @@ router.get('/', (req, res) => {
     service: 'Email API',
     version: '1.0.0',
     endpoints: {
-      'POST /send': 'Send an email',
-      'POST /test': 'Send a test email to configured SMTP user'
+      'POST /send': 'Send an email (optionally scheduled with sendAt)',
+      'POST /test': 'Send a test email to configured SMTP user',
+      'GET /accounts': 'List stored SMTP accounts',
+      'POST /accounts': 'Store an SMTP account (password encrypted at rest)'
     },
     status: 'active'
   });
@@ -24,35 +31,65 @@ router.get('/', (req, res) => {
 /**
  * POST /send
  * Send email
- * Request body can include optional accountConfig:
+ * The account is a stored one (accountId, see /api/email/accounts), the account
+ * from .env (no accountId) or given inline with accountConfig (deprecated, needs ALLOW_INLINE_SMTP_CONFIG=true):
  * {
+ *   accountId: 'support',
+ *   // or
  *   accountConfig: {
  *     host: 'smtp.gmail.com',
  *     port: 587,
  *     user: 'email@gmail.com',
  *     pass: 'password'
  *   },
- *   to: 'recipient@example.com',
+ *   to: 'recipient@example.com',      // or 'Jane <jane@example.com>, bob@example.com', or an array
+ *   cc: ['Sales <sales@example.com>'], // optional, same forms (bcc too)
  *   subject: 'Subject',
  *   text: 'Body text',
+ *   sendAt: '2024-01-15T09:00:00Z', // optional, schedule for later
  *   ...
  * }
+ * Attachments as base64 JSON (cid makes an image usable inline as <img src="cid:logo">):
+ *   attachments: [{ filename: 'logo.png', content: '<base64>', contentType: 'image/png', cid: 'logo' }]
+ * or as multipart/form-data with files in the "attachments" field (and contentIds: '{"logo.png":"logo"}').
+ * Instead of subject/text/html a stored template can be used:
+ * { to: '...', templateId: 'appointment-reminder', variables: { name: 'John' } }
  */
-router.post('/send', validateEmail, async (req, res) => {
+router.post('/send', uploadAttachments, authorizeSmtpAccount(), applyTemplate('email'), validateEmail, validateSendAt, async (req, res) => {
   try {
-    const { accountConfig, to, subject, text, html, cc, bcc } = req.body;
+    const { accountConfig, subject, text, html } = req.body;
+    const { to, cc, bcc } = req.recipients;
     
-    // Check rate limit BEFORE sending email
+    // Scheduled send - delivered later by the scheduler (see /api/schedules)
+    if (req.sendAt) {
+      const schedule = createSchedule({
+        channel: 'email',
+        tenantId: req.tenant.id,
+        sendAt: req.sendAt,
+        // Stored accounts are referenced by ID, an inline accountConfig is stored encrypted
+        payload: { accountId: req.smtpAccountId || undefined, accountConfig, to, subject, text, html, cc, bcc, attachments: req.attachments }
+      });
+      
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        scheduleId: schedule.id,
+        sendAt: schedule.sendAt,
+        to
+      });
+    }
+    
+    // Check rate limit BEFORE sending email (every recipient counts)
     try {
-      await emailLimiter.checkLimit(to);
+      await emailLimiter.checkLimits(getRecipientAddresses(req.recipients));
     } catch (rateLimitError) {
       return res.status(429).json({
         error: rateLimitError.message
       });
     }
     
-    // Use provided accountConfig or fallback to default account
-    const emailAccount = accountConfig || getDefaultAccount();
+    // Use provided accountConfig or the selected stored/default account
+    const emailAccount = accountConfig || getAccountConfig(req.smtpAccountId);
     
     // Prepare email options
     const emailOptions = {
@@ -61,7 +98,8 @@ router.post('/send', validateEmail, async (req, res) => {
       text,
       html,
       cc,
-      bcc
+      bcc,
+      attachments: req.attachments
     };
     
     // Call sendEmail with account config and options
@@ -74,7 +112,7 @@ router.post('/send', validateEmail, async (req, res) => {
       res.status(500).json(result);
     }
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to send email'
     });
@@ -84,14 +122,14 @@ router.post('/send', validateEmail, async (req, res) => {
 /**
  * POST /test
  * Send a test email
- * Request body can include optional accountConfig to test a specific account
+ * Request body can include optional accountId (or accountConfig with ALLOW_INLINE_SMTP_CONFIG=true) to test a specific account
  */
-router.post('/test', async (req, res) => {
+router.post('/test', authorizeSmtpAccount(), async (req, res) => {
   try {
     const { accountConfig } = req.body;
     
-    // Use provided accountConfig or fallback to default account
-    const emailAccount = accountConfig || getDefaultAccount();
+    // Use provided accountConfig or the selected stored/default account
+    const emailAccount = accountConfig || getAccountConfig(req.smtpAccountId);
     
     // Send a test email to the account's user email
     const testEmailOptions = {
@@ -114,7 +152,7 @@ router.post('/test', async (req, res) => {
       res.status(500).json(result);
     }
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to send test email'
     });
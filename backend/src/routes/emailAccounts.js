@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountConfig
+} = require('../services/smtpAccountService');
+const { verifyAccount } = require('../services/emailService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/email/accounts
+ * List SMTP accounts of the caller's tenant (passwords are never returned)
+ */
+router.get('/', (req, res) => {
+  try {
+    const accounts = listAccounts(req.tenant);
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      accounts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/email/accounts
+ * Store a named SMTP account - passwords, OAuth2 secrets and DKIM keys are encrypted at rest
+ * Body: { id: 'support', name: 'Support mailbox', host: 'smtp.gmail.com', port: 587, user: 'support@example.com', pass: '...' }
+ * Optional: secure, requireTLS, tls: { ... }, oauth2: { clientId, clientSecret, refreshToken }, dkim: { domainName, keySelector, privateKey }
+ * Send with it by passing accountId: 'support' to /api/email/send, /api/email/test or /api/notify.
+ */
+router.post('/', (req, res) => {
+  try {
+    const account = createAccount(req.tenant, req.body);
+
+    res.status(201).json({
+      success: true,
+      ...account
+    });
+  } catch (error) {
+    logger.error('Error creating SMTP account:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/email/accounts/:accountId
+ * Get an SMTP account
+ */
+router.get('/:accountId', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getAccount(req.params.accountId, req.tenant)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/email/accounts/:accountId
+ * Change any field - missing fields are kept, null removes oauth2, dkim, tls or secure
+ */
+router.patch('/:accountId', (req, res) => {
+  try {
+    const account = updateAccount(req.params.accountId, req.tenant, req.body);
+
+    res.json({
+      success: true,
+      ...account
+    });
+  } catch (error) {
+    logger.error('Error updating SMTP account:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/email/accounts/:accountId
+ * Delete an SMTP account
+ */
+router.delete('/:accountId', (req, res) => {
+  try {
+    deleteAccount(req.params.accountId, req.tenant);
+
+    res.json({
+      success: true,
+      accountId: req.params.accountId
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/email/accounts/:accountId/verify
+ * Check that the account can connect and log in, without sending an email
+ */
+router.post('/:accountId/verify', async (req, res) => {
+  try {
+    getAccount(req.params.accountId, req.tenant);
+
+    const result = await verifyAccount(getAccountConfig(req.params.accountId));
+
+    res.status(result.success ? 200 : 500).json({
+      accountId: req.params.accountId,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { sendNotification } = require('../services/notificationService');
+const { validateNotification } = require('../middleware/validation');
+const { authorizeSmtpAccount } = require('../middleware/auth');
+const { getAccountConfig } = require('../services/smtpAccountService');
+const { canAccess } = require('../services/tenantService');
+const logger = require('../utils/logger');
+
+// Only notifications that may go out by email need an SMTP account
+const usesEmail = (req) => !!req.body.recipient.email &&
+  (!req.body.channels || req.body.channels.includes('email'));
+
+/**
+ * POST /api/notify
+ * Send a notification over the first channel that works
+ * {
+ *   recipient: { phoneNumber: '1234567890', email: 'user@example.com' },
+ *   channels: ['whatsapp', 'email'],   // optional, preferred order
+ *   sessionId: 'user-123',             // WhatsApp session to send from
+ *   message: 'Your order has shipped',
+ *   subject: 'Order update',           // optional, email only
+ *   html: '<p>Your order has shipped</p>', // optional, email only
+ *   accountId: 'support',              // optional stored SMTP account (default: account from .env)
+ *   accountConfig: { ... }             // or an inline SMTP account (needs ALLOW_INLINE_SMTP_CONFIG=true)
+ * }
+ */
+router.post('/', validateNotification, authorizeSmtpAccount(usesEmail), async (req, res) => {
+  try {
+    const { recipient, channels, sessionId, message, subject, html, accountConfig } = req.body;
+    
+    if (sessionId && !canAccess(req.tenant, 'sessions', sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionId} not found`
+      });
+    }
+
+    const result = await sendNotification({
+      recipient,
+      channels,
+      sessionId,
+      message,
+      subject,
+      html,
+      accountConfig: accountConfig || (req.smtpAccountId ? getAccountConfig(req.smtpAccountId) : undefined)
+    });
+
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    logger.error('Error sending notification:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to send notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listSchedules,
+  getSchedule,
+  rescheduleSchedule,
+  cancelSchedule
+} = require('../services/schedulerService');
+const { parseSendAt } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Helper function to get a schedule only if the caller's tenant created it (admins see all)
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Schedule summary or null
+ */
+function getTenantSchedule(req) {
+  const schedule = getSchedule(req.params.scheduleId);
+  return schedule && (req.tenant.admin || schedule.tenantId === req.tenant.id) ? schedule : null;
+}
+
+/**
+ * GET /api/schedules
+ * List scheduled WhatsApp messages and emails
+ * Query: channel (whatsapp|email), status (scheduled|sent|queued|failed|cancelled), sessionId
+ */
+router.get('/', (req, res) => {
+  try {
+    const { channel, status, sessionId } = req.query;
+    const tenantId = req.tenant.admin ? undefined : req.tenant.id;
+    const schedules = listSchedules({ channel, status, sessionId, tenantId });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      schedules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get a single schedule
+ */
+router.get('/:scheduleId', (req, res) => {
+  try {
+    const schedule = getTenantSchedule(req);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...schedule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Reschedule a pending message
+ * Body: { sendAt: '2024-01-15T09:00:00Z' }
+ */
+router.patch('/:scheduleId', (req, res) => {
+  try {
+    const { error: sendAtError, sendAt } = parseSendAt(req.body.sendAt);
+
+    if (sendAtError) {
+      return res.status(400).json({
+        success: false,
+        error: sendAtError
+      });
+    }
+
+    if (!getTenantSchedule(req)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const schedule = rescheduleSchedule(req.params.scheduleId, sendAt);
+
+    res.json({
+      success: true,
+      ...schedule
+    });
+  } catch (error) {
+    logger.error('Error rescheduling:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Cancel a pending message
+ */
+router.delete('/:scheduleId', (req, res) => {
+  try {
+    if (!getTenantSchedule(req)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const schedule = cancelSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      ...schedule
+    });
+  } catch (error) {
+    logger.error('Error cancelling schedule:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplateForChannel
+} = require('../services/templateService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/templates
+ * List the message templates of the caller's tenant (admins: all)
+ */
+router.get('/', (req, res) => {
+  try {
+    const templates = listTemplates(req.tenant);
+
+    res.json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a template
+ * {
+ *   name: 'appointment-reminder',
+ *   description: 'Sent one day before the appointment',
+ *   whatsapp: { body: 'Hi {{name}}, see you on {{date}}' },
+ *   email: { subject: 'Appointment on {{date}}', text: '...', html: '...' },
+ *   defaults: { name: 'there' }
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const template = createTemplate(req.tenant, req.body);
+
+    res.status(201).json({
+      success: true,
+      ...template
+    });
+  } catch (error) {
+    logger.error('Error creating template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * Get a template by ID or name
+ */
+router.get('/:templateId', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getTemplate(req.params.templateId, req.tenant)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/templates/:templateId
+ * Update a template (fields not given keep their value, null removes a channel)
+ */
+router.put('/:templateId', (req, res) => {
+  try {
+    const template = updateTemplate(req.params.templateId, req.tenant, req.body);
+
+    res.json({
+      success: true,
+      ...template
+    });
+  } catch (error) {
+    logger.error('Error updating template:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/:templateId
+ * Delete a template
+ */
+router.delete('/:templateId', (req, res) => {
+  try {
+    deleteTemplate(req.params.templateId, req.tenant);
+
+    res.json({
+      success: true,
+      message: 'Template deleted',
+      templateId: req.params.templateId
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:templateId/preview
+ * Render a template without sending it
+ * Body: { channel: 'whatsapp' | 'email', variables: { ... } }
+ */
+router.post('/:templateId/preview', (req, res) => {
+  try {
+    const { channel = 'whatsapp', variables } = req.body;
+
+    if (!['whatsapp', 'email'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        error: 'channel must be whatsapp or email'
+      });
+    }
+
+    const rendered = renderTemplateForChannel(req.params.templateId, req.tenant, channel, variables);
+
+    res.json({
+      success: true,
+      channel,
+      ...rendered
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
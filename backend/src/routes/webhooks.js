@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const {
+  WEBHOOK_EVENTS,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  redeliver,
+  sendTestEvent
+} = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions of the caller's tenant
+ */
+router.get('/', (req, res) => {
+  try {
+    const subscriptions = listSubscriptions(req.tenant);
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      events: WEBHOOK_EVENTS,
+      subscriptions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to session and message events
+ * Body: { url, events: ['session.logged_out', 'message.failed'], sessionIds: ['user-123'], secret }
+ * The secret (generated if not given) is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.tenant, req.body);
+
+    res.status(201).json({
+      success: true,
+      ...subscription
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId
+ * Get a webhook subscription
+ */
+router.get('/:webhookId', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getSubscription(req.params.webhookId, req.tenant)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Change url, events, sessionIds, secret or active
+ */
+router.patch('/:webhookId', async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.params.webhookId, req.tenant, req.body);
+
+    res.json({
+      success: true,
+      ...subscription
+    });
+  } catch (error) {
+    logger.error('Error updating webhook:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a webhook subscription and its delivery log
+ */
+router.delete('/:webhookId', (req, res) => {
+  try {
+    deleteSubscription(req.params.webhookId, req.tenant);
+
+    res.json({
+      success: true,
+      webhookId: req.params.webhookId
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Send a 'webhook.test' event (check the delivery log for the result)
+ */
+router.post('/:webhookId/test', (req, res) => {
+  try {
+    const delivery = sendTestEvent(req.params.webhookId, req.tenant);
+
+    res.status(202).json({
+      success: true,
+      deliveryId: delivery.id
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries
+ * Delivery log, newest first
+ * Query: status (pending|delivered|failed), limit (default 50)
+ */
+router.get('/:webhookId/deliveries', (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive number'
+      });
+    }
+
+    const deliveries = getDeliveries(req.params.webhookId, req.tenant, { status, limit });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a delivery again with a fresh attempt count
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', (req, res) => {
+  try {
+    const delivery = redeliver(req.params.webhookId, req.params.deliveryId, req.tenant);
+
+    res.status(202).json({
+      success: true,
+      deliveryId: delivery.id
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
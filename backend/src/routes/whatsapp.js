@@ -3,24 +3,76 @@ const router = express.Router();
 const {
   initializeWhatsApp,
   sendWhatsAppMessage,
+  sendReadReceipts,
+  listGroups,
+  checkNumbers,
   getQRCode,
+  getPairingCode,
+  connectWithPairingCode,
+  suspendSession,
+  resumeSession,
+  logoutSession,
   getSessionStatus,
+  getSessionSnapshot,
+  configureReconnect,
   activeSessions
 } = require('../services/whatsappService');
+const { getInboxMessages, markInboxMessagesRead } = require('../services/inboxService');
+const { getMessageStatus } = require('../services/messageStatusService');
+const { getSessionEvents } = require('../services/sessionHistoryService');
 const { whatsappLimiter } = require('../utils/rateLimiter');
-const { validateWhatsAppMessage } = require('../middleware/validation');
+const { enqueueMessage, getQueue, removeQueuedMessage, retryDeadLetter } = require('../services/queueService');
+const { createBulkJob, getBulkJob, listBulkJobs, cancelBulkJob } = require('../services/bulkService');
+const { createSchedule } = require('../services/schedulerService');
+const {
+  validateWhatsAppMessage,
+  validatePairingRequest,
+  validateNumberCheck,
+  validateBulkWhatsAppMessage,
+  validateSendAt,
+  validateReconnectPolicy
+} = require('../middleware/validation');
+const { uploadMedia } = require('../middleware/upload');
+const { applyTemplate } = require('../middleware/templates');
+const sessionEvents = require('../utils/sessionEvents');
+const { parseQRImageOptions, renderQRImage, renderQRDataUrl } = require('../utils/qrImage');
+const { authorizeSession, requireAdmin } = require('../middleware/auth');
+const { canAccess, releaseOwner } = require('../services/tenantService');
 const logger = require('../utils/logger');
 
+// Session events pushed to /stream clients
+const STREAM_EVENTS = ['status', 'qr', 'pairing_code', 'disconnect'];
+
+// Keep-alive comment interval so proxies don't close idle streams
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Every route with a :sessionId only works on sessions of the caller's tenant;
+// POST /connect/... may claim a new session ID for it
+router.param('sessionId', authorizeSession(['connect']));
+
+/**
+ * mediaPath reads files from the server's disk (auth state, keys and data of every
+ * tenant live there too), so only admin keys may use it. Runs after uploadMedia.
+ */
+function requireAdminForMediaPath(req, res, next) {
+  if (req.body.mediaPath) {
+    return requireAdmin(req, res, next);
+  }
+  next();
+}
+
 /**
  * POST /api/whatsapp/connect/:sessionId
  * Initialize WhatsApp connection
+ * Body (optional): { reconnectPolicy: { retryableStatusCodes, baseDelayMs, maxDelayMs, maxAttempts, jitter } }
  */
-router.post('/connect/:sessionId', async (req, res) => {
+router.post('/connect/:sessionId', validateReconnectPolicy, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
     logger.info(`Initializing WhatsApp for session: ${sessionId}`);
     
+    configureReconnect(sessionId, req.reconnectPolicy);
     await initializeWhatsApp(sessionId);
     
     res.json({
@@ -38,14 +90,143 @@ router.post('/connect/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/whatsapp/connect/:sessionId/pairing-code
+ * Initialize WhatsApp connection with a pairing code instead of a QR code
+ * Body: { phoneNumber: '1234567890', reconnectPolicy (optional, see /connect) }
+ */
+router.post('/connect/:sessionId/pairing-code', validatePairingRequest, validateReconnectPolicy, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    logger.info(`Initializing WhatsApp with pairing code for session: ${sessionId}`);
+    
+    configureReconnect(sessionId, req.reconnectPolicy);
+    const pairingData = await connectWithPairingCode(sessionId, req.pairingPhoneNumber);
+    
+    res.json({
+      success: true,
+      message: pairingData.isConnected
+        ? 'WhatsApp already connected.'
+        : 'Enter the pairing code on your phone: Settings → Linked Devices → Link a Device → Link with phone number instead.',
+      sessionId,
+      ...pairingData
+    });
+  } catch (error) {
+    logger.error('Error connecting WhatsApp with pairing code:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to initialize WhatsApp connection'
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/pairing-code/:sessionId
+ * Get the pairing code of a session started with a phone number
+ */
+router.get('/pairing-code/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const pairingData = getPairingCode(sessionId);
+    
+    if (!pairingData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found. Please initialize first.',
+        sessionId
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      ...pairingData
+    });
+  } catch (error) {
+    logger.error('Error getting pairing code:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/qr/:sessionId.png and /api/whatsapp/qr/:sessionId.svg
+ * Get the current QR code as an image
+ * Query: size (64-1024 pixels, default 300), margin (0-10 modules, default 4)
+ * Must be registered before /qr/:sessionId, which would otherwise match "id.png"
+ */
+router.get('/qr/:sessionId.:format(png|svg)', async (req, res) => {
+  try {
+    const { sessionId, format } = req.params;
+    
+    const { error: optionsError, options } = parseQRImageOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+    
+    const snapshot = getSessionSnapshot(sessionId);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found. Please initialize first.',
+        sessionId
+      });
+    }
+    
+    // Same 3 minute expiry as the JSON endpoint
+    const isExpired = !!snapshot.qrGeneratedAt &&
+      Date.now() - new Date(snapshot.qrGeneratedAt).getTime() > 180000;
+    
+    if (!snapshot.qrCode || isExpired) {
+      return res.status(409).json({
+        success: false,
+        error: isExpired ? 'QR code expired. Please reconnect.' : 'No QR code available for this session',
+        sessionId,
+        status: isExpired ? 'qr_expired' : snapshot.status,
+        isConnected: snapshot.isConnected
+      });
+    }
+    
+    const image = await renderQRImage(snapshot.qrCode, format, options);
+    
+    // QR codes rotate every ~20 seconds, never cache them
+    res.set('Cache-Control', 'no-store');
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+  } catch (error) {
+    logger.error('Error rendering QR code:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/whatsapp/qr/:sessionId
  * Get QR code for scanning (CRITICAL FOR FRONTEND)
+ * The response includes qrDataUrl, a PNG data URI of the QR code (query: size, margin)
  */
-router.get('/qr/:sessionId', (req, res) => {
+router.get('/qr/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
+    const { error: optionsError, options } = parseQRImageOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+    
     console.log('[QR-ENDPOINT] 📞 QR request received for session:', sessionId);
     console.log('[QR-ENDPOINT] Active sessions count:', activeSessions.size);
     console.log('[QR-ENDPOINT] Active session IDs:', Array.from(activeSessions.keys()));
@@ -65,11 +246,7 @@ router.get('/qr/:sessionId', (req, res) => {
       return res.status(404).json({
         success: false,
         error: 'Session not found. Please initialize first.',
-        sessionId,
-        debug: {
-          activeSessions: activeSessions.size,
-          activeSessionIds: Array.from(activeSessions.keys())
-        }
+        sessionId
       });
     }
     
@@ -101,7 +278,8 @@ router.get('/qr/:sessionId', (req, res) => {
     res.json({
       success: true,
       sessionId,
-      ...qrData
+      ...qrData,
+      qrDataUrl: qrData.qrCode ? await renderQRDataUrl(qrData.qrCode, options) : null
     });
   } catch (error) {
     console.error('[QR-ENDPOINT] ❌ Error:', error);
@@ -114,6 +292,54 @@ router.get('/qr/:sessionId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/whatsapp/stream/:sessionId
+ * Server-Sent Events stream of QR refreshes, status changes and disconnect reasons
+ * Every event carries the current session snapshot in "session"; a 'status' event
+ * with the current snapshot is sent right after connecting.
+ */
+router.get('/stream/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Initial state so clients don't have to call /qr or /status first
+  const snapshot = getSessionSnapshot(sessionId);
+  send('status', {
+    sessionId,
+    status: snapshot ? snapshot.status : 'not_initialized',
+    previousStatus: null,
+    session: snapshot
+  });
+  
+  const listeners = STREAM_EVENTS.map(event => {
+    const listener = (data) => {
+      if (data.sessionId === sessionId) {
+        send(event, data);
+      }
+    };
+    sessionEvents.on(event, listener);
+    return [event, listener];
+  });
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    listeners.forEach(([event, listener]) => sessionEvents.off(event, listener));
+  });
+});
+
 /**
  * GET /api/whatsapp/status/:sessionId
  * Get detailed session status
@@ -137,26 +363,94 @@ router.get('/status/:sessionId', (req, res) => {
   }
 });
 
+/**
+ * Helper function to queue a message and send the 202 response
+ */
+function respondQueued(res, sessionId, { phoneNumber, message, media, verifyNumber }, reason) {
+  const entry = enqueueMessage(sessionId, { phoneNumber, message, media, verifyNumber });
+  
+  return res.status(202).json({
+    success: true,
+    queued: true,
+    reason,
+    sessionId,
+    queueId: entry.id,
+    to: phoneNumber
+  });
+}
+
 /**
  * POST /api/whatsapp/send/:sessionId
- * Send WhatsApp message
+ * Send WhatsApp message (text, or image/video/audio/document with optional caption)
+ * to a phoneNumber or a groupId (see GET /groups/:sessionId)
+ * Media can be sent as multipart upload (field "media"), mediaBase64 or mediaPath (admin keys only)
+ * With queue: true the message is queued (202) instead of failing when the session
+ * is offline, rate limited or the send fails
+ * With sendAt the message is scheduled (202) - see /api/schedules
+ * With templateId (+ variables) the message is rendered from a stored template
+ * With verifyNumber: true the number is checked first and unregistered numbers fail with 422
+ * (queued and scheduled messages check it when they are sent)
  */
-router.post('/send/:sessionId', validateWhatsAppMessage, async (req, res) => {
+router.post('/send/:sessionId', uploadMedia, requireAdminForMediaPath, applyTemplate('whatsapp'), validateWhatsAppMessage, validateSendAt, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { phoneNumber, message } = req.body;
+    const { message } = req.body;
+    const recipient = req.recipient;
+    const useQueue = req.body.queue === true || req.body.queue === 'true';
+    const verifyNumber = req.body.verifyNumber === true || req.body.verifyNumber === 'true';
+    const outgoing = { phoneNumber: recipient, message, media: req.media, verifyNumber };
+    
+    // Scheduled send - delivered later by the scheduler
+    if (req.sendAt) {
+      const schedule = createSchedule({
+        channel: 'whatsapp',
+        sessionId,
+        tenantId: req.tenant.id,
+        sendAt: req.sendAt,
+        payload: outgoing
+      });
+      
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        scheduleId: schedule.id,
+        sendAt: schedule.sendAt,
+        sessionId,
+        to: recipient
+      });
+    }
+    
+    // Queue right away while the session is offline (reconnecting, qr_pending, ...)
+    if (useQueue && !activeSessions.get(sessionId)?.isConnected) {
+      return respondQueued(res, sessionId, outgoing, 'Session not connected');
+    }
     
     // Check rate limit
     try {
       await whatsappLimiter.checkLimit(sessionId);
     } catch (rateLimitError) {
+      if (useQueue) {
+        return respondQueued(res, sessionId, outgoing, rateLimitError.message);
+      }
       return res.status(429).json({
         success: false,
         error: rateLimitError.message
       });
     }
     
-    const result = await sendWhatsAppMessage(sessionId, phoneNumber, message);
+    let result;
+    try {
+      result = await sendWhatsAppMessage(sessionId, recipient, message, {
+        media: req.media,
+        verifyNumber
+      });
+    } catch (sendError) {
+      // Unregistered numbers will never succeed - don't queue them
+      if (useQueue && sendError.code !== 'NOT_ON_WHATSAPP') {
+        return respondQueued(res, sessionId, outgoing, sendError.message);
+      }
+      throw sendError;
+    }
     
     res.json({
       success: true,
@@ -164,6 +458,59 @@ router.post('/send/:sessionId', validateWhatsAppMessage, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error sending message:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      // Set when the session was connected - the failure can be looked up under /messages/:sessionId/:messageId/status
+      messageId: error.messageId
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/check/:sessionId
+ * Check whether phone numbers are registered on WhatsApp (results are cached)
+ * Body: { phoneNumber: '1234567890' } or { phoneNumbers: ['1234567890', ...] }
+ */
+router.post('/check/:sessionId', validateNumberCheck, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const results = await checkNumbers(sessionId, req.phoneNumbers);
+    
+    res.json({
+      success: true,
+      sessionId,
+      count: results.length,
+      registered: results.filter(result => result.exists).length,
+      results
+    });
+  } catch (error) {
+    logger.error('Error checking numbers:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/queue/:sessionId
+ * List queued (pending) and dead-lettered messages of a session
+ */
+router.get('/queue/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const queue = getQueue(sessionId);
+    
+    res.json({
+      success: true,
+      sessionId,
+      pendingCount: queue.pending.length,
+      deadLetterCount: queue.deadLetters.length,
+      ...queue
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
       error: error.message
@@ -172,52 +519,416 @@ router.post('/send/:sessionId', validateWhatsAppMessage, async (req, res) => {
 });
 
 /**
- * DELETE /api/whatsapp/disconnect/:sessionId
- * Disconnect and logout
+ * POST /api/whatsapp/queue/:sessionId/:queueId/retry
+ * Move a dead-lettered message back into the queue
  */
-router.delete('/disconnect/:sessionId', async (req, res) => {
+router.post('/queue/:sessionId/:queueId/retry', (req, res) => {
+  try {
+    const { sessionId, queueId } = req.params;
+    const entry = retryDeadLetter(sessionId, queueId);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead-lettered message not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      ...entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/whatsapp/queue/:sessionId/:queueId
+ * Remove a pending or dead-lettered message
+ */
+router.delete('/queue/:sessionId/:queueId', (req, res) => {
+  try {
+    const { sessionId, queueId } = req.params;
+    
+    if (!removeQueuedMessage(sessionId, queueId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Queued message not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      queueId,
+      message: 'Queued message removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/groups/:sessionId
+ * List the groups the session belongs to (use the id as groupId when sending)
+ */
+router.get('/groups/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const session = activeSessions.get(sessionId);
+    const groups = await listGroups(sessionId);
     
-    if (!session) {
-      return res.json({
-        success: true,
-        message: 'Session not found or already disconnected',
-        sessionId
+    res.json({
+      success: true,
+      sessionId,
+      count: groups.length,
+      groups
+    });
+  } catch (error) {
+    logger.error('Error listing groups:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/messages/:sessionId
+ * List inbound messages (newest first)
+ * Query: chatId, since, until, unread=true, limit, offset
+ */
+router.get('/messages/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { chatId, since, until, unread, limit, offset } = req.query;
+    
+    let inbox;
+    try {
+      inbox = getInboxMessages(sessionId, {
+        chatId,
+        since,
+        until,
+        unread: unread === 'true',
+        limit,
+        offset
+      });
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      ...inbox
+    });
+  } catch (error) {
+    logger.error('Error reading inbox:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/messages/:sessionId/read
+ * Mark inbound messages as read
+ * Body: { messageIds: [...] } or { chatId: '1234567890' }
+ */
+router.post('/messages/:sessionId/read', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { messageIds, chatId } = req.body;
+    
+    if (!Array.isArray(messageIds) && !chatId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide messageIds (array) or chatId'
       });
     }
     
-    // Clear reconnect timer if exists
-    if (session.reconnectTimer) {
-      clearTimeout(session.reconnectTimer);
-      session.reconnectTimer = null;
+    const keys = markInboxMessagesRead(sessionId, { messageIds, chatId });
+    
+    // Also send read receipts to the sender when the session is online
+    let receiptsSent = false;
+    try {
+      receiptsSent = await sendReadReceipts(sessionId, keys);
+    } catch (receiptError) {
+      logger.warn(`Could not send read receipts for ${sessionId}:`, receiptError.message);
     }
     
-    // Logout if connected
-    if (session.socket) {
-      try {
-        if (session.isConnected) {
-          await session.socket.logout();
-        } else {
-          session.socket.end();
-        }
-        logger.info(`Session ${sessionId} disconnected successfully`);
-      } catch (err) {
-        logger.warn(`Error during socket cleanup for ${sessionId}:`, err.message);
-      }
+    res.json({
+      success: true,
+      sessionId,
+      marked: keys.length,
+      receiptsSent
+    });
+  } catch (error) {
+    logger.error('Error marking messages as read:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/messages/:sessionId/:messageId/status
+ * Get delivery status of a sent message (sent → delivered → read, or failed)
+ */
+router.get('/messages/:sessionId/:messageId/status', (req, res) => {
+  try {
+    const { sessionId, messageId } = req.params;
+    
+    const messageStatus = getMessageStatus(sessionId, messageId);
+    
+    if (!messageStatus) {
+      return res.status(404).json({
+        success: false,
+        error: `Message ${messageId} not found for session ${sessionId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      ...messageStatus
+    });
+  } catch (error) {
+    logger.error('Error getting message status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/send-bulk/:sessionId
+ * Send the same message (with per-recipient {{variables}}) to many recipients.
+ * Runs in the background paced by the rate limiter; poll GET /bulk-jobs/:jobId for results
+ */
+router.post('/send-bulk/:sessionId', uploadMedia, requireAdminForMediaPath, validateBulkWhatsAppMessage, (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { message } = req.body;
+    
+    if (!activeSessions.has(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionId} not found. Please initialize first.`
+      });
     }
     
-    // Remove from active sessions
-    activeSessions.delete(sessionId);
+    const job = createBulkJob(sessionId, {
+      recipients: req.recipients,
+      message,
+      media: req.media
+    });
+    
+    res.status(202).json({
+      success: true,
+      ...job,
+      statusUrl: `/api/whatsapp/bulk-jobs/${job.jobId}`
+    });
+  } catch (error) {
+    logger.error('Error creating bulk job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/bulk-jobs
+ * List bulk jobs (optional ?sessionId= filter)
+ */
+router.get('/bulk-jobs', (req, res) => {
+  try {
+    const jobs = listBulkJobs(req.query.sessionId)
+      .filter(job => canAccess(req.tenant, 'sessions', job.sessionId));
+    
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/whatsapp/bulk-jobs/:jobId
+ * Get bulk job progress and per-recipient results
+ */
+router.get('/bulk-jobs/:jobId', (req, res) => {
+  try {
+    const job = getBulkJob(req.params.jobId);
+    
+    if (!job || !canAccess(req.tenant, 'sessions', job.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/whatsapp/bulk-jobs/:jobId
+ * Cancel a bulk job (remaining recipients are skipped)
+ */
+router.delete('/bulk-jobs/:jobId', (req, res) => {
+  try {
+    const existing = getBulkJob(req.params.jobId);
+    
+    if (!existing || !canAccess(req.tenant, 'sessions', existing.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk job not found'
+      });
+    }
+    
+    const job = cancelBulkJob(req.params.jobId);
+    
+    res.json({
+      success: true,
+      ...job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/suspend/:sessionId
+ * Close the connection but keep the saved credentials (resume later without a QR code)
+ */
+router.post('/suspend/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = suspendSession(sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Session suspended, credentials kept',
+      sessionId,
+      session
+    });
+  } catch (error) {
+    logger.error('Error suspending session:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/resume/:sessionId
+ * Reconnect a suspended (or restarted) session from its saved credentials
+ */
+router.post('/resume/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await resumeSession(sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Session resuming from saved credentials',
+      sessionId,
+      session
+    });
+  } catch (error) {
+    logger.error('Error resuming session:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/logout/:sessionId
+ * Unlink the device and delete the saved credentials (the next connect needs a new QR code)
+ */
+router.post('/logout/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await logoutSession(sessionId);
+    releaseOwner('sessions', sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Session logged out and credentials removed',
+      sessionId,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error logging out session:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/whatsapp/disconnect/:sessionId
+ * Disconnect and logout (same as POST /logout/:sessionId)
+ */
+router.delete('/disconnect/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await logoutSession(sessionId);
+    releaseOwner('sessions', sessionId);
     
     res.json({
       success: true,
       message: 'Session disconnected and cleaned up',
-      sessionId
+      sessionId,
+      ...result
     });
   } catch (error) {
+    if (error.code === 'SESSION_NOT_FOUND') {
+      releaseOwner('sessions', req.params.sessionId);
+      return res.json({
+        success: true,
+        message: 'Session not found or already disconnected',
+        sessionId: req.params.sessionId
+      });
+    }
+    
     logger.error('Error disconnecting:', error);
     res.status(500).json({
       success: false,
@@ -232,13 +943,15 @@ router.delete('/disconnect/:sessionId', async (req, res) => {
  */
 router.get('/sessions', (req, res) => {
   try {
-    const sessions = Array.from(activeSessions.entries()).map(([id, data]) => ({
+    const sessions = Array.from(activeSessions.entries())
+      .filter(([id]) => canAccess(req.tenant, 'sessions', id))
+      .map(([id, data]) => ({
       sessionId: id,
       status: data.status,
       isConnected: data.isConnected,
       phoneNumber: data.phoneNumber,
       hasQRCode: !!data.qrCode
-    }));
+      }));
     
     res.json({
       success: true,
@@ -253,4 +966,38 @@ router.get('/sessions', (req, res) => {
   }
 });
 
+/**
+ * GET /api/whatsapp/sessions/:sessionId/events
+ * Lifecycle event history of a session (QR generated/scanned, opened, closed, reconnects, ...)
+ * Query: type (comma separated), since, until (ISO date or epoch ms), limit (default 100, max 500)
+ */
+router.get('/sessions/:sessionId/events', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { type, since, until, limit } = req.query;
+    
+    let history;
+    try {
+      history = getSessionEvents(sessionId, { type, since, until, limit });
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessionId,
+      ...history
+    });
+  } catch (error) {
+    logger.error('Error reading session events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { whatsappLimiter } = require('../utils/rateLimiter');
+const { renderTemplate } = require('../utils/template');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// Pause between two messages of a bulk job (on top of the rate limiter)
+const BULK_SEND_INTERVAL_MS = parseInt(process.env.BULK_SEND_INTERVAL_MS) || 1000;
+
+// Finished jobs kept in memory for polling
+const BULK_MAX_JOBS = parseInt(process.env.BULK_MAX_JOBS) || 100;
+
+const bulkJobs = new Map();
+
+/**
+ * Helper function to drop the oldest finished jobs when over BULK_MAX_JOBS
+ */
+function pruneJobs() {
+  for (const [jobId, job] of bulkJobs) {
+    if (bulkJobs.size <= BULK_MAX_JOBS) {
+      break;
+    }
+    if (job.status !== 'queued' && job.status !== 'running') {
+      bulkJobs.delete(jobId);
+    }
+  }
+}
+
+/**
+ * Helper function to build the public view of a job
+ * @param {Object} job - Internal job
+ * @param {boolean} includeResults - Include per-recipient results
+ * @returns {Object} - Job summary
+ */
+function toJobSummary(job, includeResults = true) {
+  const { media, message, ...summary } = job;
+  return {
+    ...summary,
+    mediaType: media ? media.type : null,
+    pending: job.results.filter(result => result.status === 'pending').length,
+    results: includeResults ? job.results : undefined
+  };
+}
+
+/**
+ * Send the messages of a bulk job one after another, paced by the WhatsApp rate limiter
+ * @param {Object} job - Internal job
+ */
+async function processBulkJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  for (const result of job.results) {
+    if (job.status === 'cancelled') {
+      break;
+    }
+
+    const { text, missing } = renderTemplate(job.message, result.variables);
+
+    if (missing.length > 0) {
+      result.status = 'failed';
+      result.error = `Missing variables: ${missing.join(', ')}`;
+      job.failed++;
+      continue;
+    }
+
+    try {
+      // Share the per-session limit with the single send endpoint, but wait instead of failing
+      await whatsappLimiter.waitForSlot(job.sessionId);
+
+      if (job.status === 'cancelled') {
+        break;
+      }
+
+      const sendResult = await sendWhatsAppMessage(job.sessionId, result.phoneNumber, text, {
+        media: job.media
+      });
+
+      result.status = 'sent';
+      result.messageId = sendResult.messageId;
+      result.sentAt = new Date().toISOString();
+      job.sent++;
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      job.failed++;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, BULK_SEND_INTERVAL_MS));
+  }
+
+  if (job.status === 'cancelled') {
+    job.results
+      .filter(result => result.status === 'pending')
+      .forEach(result => { result.status = 'cancelled'; });
+  } else {
+    job.status = 'completed';
+  }
+  job.completedAt = new Date().toISOString();
+
+  logger.info(`📦 Bulk job ${job.jobId} ${job.status}: ${job.sent} sent, ${job.failed} failed`);
+}
+
+/**
+ * Create a bulk send job and start it in the background
+ * @param {string} sessionId - Session identifier
+ * @param {Object} params - Job parameters
+ * @param {Array<Object>} params.recipients - [{ phoneNumber, variables }]
+ * @param {string} params.message - Message text, may contain {{placeholders}}
+ * @param {Object} params.media - Normalized media sent to every recipient (optional)
+ * @returns {Object} - Job summary
+ */
+function createBulkJob(sessionId, { recipients, message, media = null }) {
+  const job = {
+    jobId: crypto.randomUUID(),
+    sessionId,
+    status: 'queued',
+    message,
+    media,
+    total: recipients.length,
+    sent: 0,
+    failed: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    results: recipients.map(({ phoneNumber, variables }) => ({
+      phoneNumber,
+      variables: variables || {},
+      status: 'pending',
+      messageId: null,
+      error: null,
+      sentAt: null
+    }))
+  };
+
+  bulkJobs.set(job.jobId, job);
+  pruneJobs();
+
+  processBulkJob(job).catch(err => {
+    logger.error(`Bulk job ${job.jobId} crashed:`, err);
+    job.status = 'failed';
+    job.completedAt = new Date().toISOString();
+  });
+
+  logger.info(`📦 Bulk job ${job.jobId} created for session ${sessionId} (${job.total} recipients)`);
+
+  return toJobSummary(job, false);
+}
+
+/**
+ * Get a bulk job with per-recipient results
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} - Job summary or null if unknown
+ */
+function getBulkJob(jobId) {
+  const job = bulkJobs.get(jobId);
+  return job ? toJobSummary(job) : null;
+}
+
+/**
+ * List bulk jobs (without per-recipient results)
+ * @param {string} sessionId - Only jobs of this session (optional)
+ * @returns {Array<Object>} - Job summaries, newest first
+ */
+function listBulkJobs(sessionId) {
+  return Array.from(bulkJobs.values())
+    .filter(job => !sessionId || job.sessionId === sessionId)
+    .map(job => toJobSummary(job, false))
+    .reverse();
+}
+
+/**
+ * Cancel a running bulk job - messages already sent are not affected
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} - Job summary or null if unknown
+ */
+function cancelBulkJob(jobId) {
+  const job = bulkJobs.get(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    job.status = 'cancelled';
+    logger.info(`📦 Bulk job ${jobId} cancelled`);
+  }
+
+  return toJobSummary(job, false);
+}
+
+// Stop the jobs of a logged out session and forget them - its ID can be claimed by another tenant
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  for (const [jobId, job] of bulkJobs) {
+    if (job.sessionId === sessionId) {
+      cancelBulkJob(jobId);
+      bulkJobs.delete(jobId);
+    }
+  }
+});
+
+module.exports = {
+  createBulkJob,
+  getBulkJob,
+  listBulkJobs,
+  cancelBulkJob
+};
@@ -1,47 +1,216 @@
 // Import nodemailer
 const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
 
 // Import dotenv (config loaded)
 require('dotenv').config();
 
+// Pooling: parallel SMTP connections per account and messages sent over one connection
+const SMTP_POOL_MAX_CONNECTIONS = parseInt(process.env.SMTP_POOL_MAX_CONNECTIONS) || 5;
+const SMTP_POOL_MAX_MESSAGES = parseInt(process.env.SMTP_POOL_MAX_MESSAGES) || 100;
+
+// Cached transporters unused for this long are closed
+const SMTP_IDLE_TIMEOUT_MS = parseInt(process.env.SMTP_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Accounts whose verification/send status is kept for /api/health
+const SMTP_STATUS_MAX = 100;
+
+// Nodemailer error codes that mean the account itself is broken (not just this message)
+const ACCOUNT_ERROR_CODES = ['EAUTH', 'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ETLS'];
+
+// TLS settings an account may pass to the connection (tls.*)
+const TLS_OPTIONS = ['rejectUnauthorized', 'servername', 'minVersion', 'maxVersion', 'ciphers', 'ca'];
+
+// Token endpoints an account may set as oauth2.accessUrl - nodemailer POSTs the client secret
+// and refresh token there. Google, Microsoft 365, SMTP_OAUTH2_ACCESS_URL and SMTP_OAUTH2_ACCESS_URLS (comma separated).
+const OAUTH2_ACCESS_URL_PATTERNS = [
+  /^https:\/\/oauth2\.googleapis\.com\/token$/,
+  /^https:\/\/accounts\.google\.com\/o\/oauth2\/token$/,
+  /^https:\/\/login\.microsoftonline\.com\/[a-zA-Z0-9.-]+\/oauth2\/v2\.0\/token$/
+];
+const OAUTH2_ACCESS_URLS = [process.env.SMTP_OAUTH2_ACCESS_URL, ...(process.env.SMTP_OAUTH2_ACCESS_URLS || '').split(',')]
+  .map(url => (url || '').trim())
+  .filter(Boolean);
+
+// Cached transporters: accountKey -> { transporter, verifyPromise, lastUsedAt }
+const transporterCache = new Map();
+
+// Last known state of every account used: accountKey -> status (see getSmtpStatus)
+const accountStatuses = new Map();
+
+/**
+ * Helper function to read an optional true/false environment variable
+ * @param {string} value - Variable value
+ * @returns {boolean|undefined} - Parsed value or undefined if not set
+ */
+function parseBooleanEnv(value) {
+  return value === undefined || value === '' ? undefined : value === 'true';
+}
+
 /**
  * Get default account configuration from environment variables
  * @returns {Object} - Default email account configuration
  */
 function getDefaultAccount() {
-  return {
+  const account = {
+    id: 'default',
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT),
     user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
+    pass: process.env.SMTP_PASS,
+    secure: parseBooleanEnv(process.env.SMTP_SECURE),
+    requireTLS: parseBooleanEnv(process.env.SMTP_REQUIRE_TLS)
   };
+
+  if (process.env.SMTP_TLS_REJECT_UNAUTHORIZED === 'false') {
+    account.tls = { rejectUnauthorized: false };
+  }
+
+  if (process.env.SMTP_OAUTH2_REFRESH_TOKEN || process.env.SMTP_OAUTH2_ACCESS_TOKEN) {
+    account.oauth2 = {
+      clientId: process.env.SMTP_OAUTH2_CLIENT_ID,
+      clientSecret: process.env.SMTP_OAUTH2_CLIENT_SECRET,
+      refreshToken: process.env.SMTP_OAUTH2_REFRESH_TOKEN,
+      accessToken: process.env.SMTP_OAUTH2_ACCESS_TOKEN,
+      accessUrl: process.env.SMTP_OAUTH2_ACCESS_URL
+    };
+  }
+
+  if (process.env.SMTP_DKIM_DOMAIN) {
+    account.dkim = {
+      domainName: process.env.SMTP_DKIM_DOMAIN,
+      keySelector: process.env.SMTP_DKIM_SELECTOR,
+      // PEM in one line with \n escapes, as .env files can't hold multi-line values
+      privateKey: (process.env.SMTP_DKIM_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+    };
+  }
+
+  return account;
 }
 
 /**
- * Create nodemailer transporter from account configuration
+ * Check whether the account from .env has credentials (password or OAuth2 token)
+ * @returns {boolean} - True if the default account can be used
+ */
+function isDefaultAccountConfigured() {
+  return !!(process.env.SMTP_USER &&
+    (process.env.SMTP_PASS || process.env.SMTP_OAUTH2_REFRESH_TOKEN || process.env.SMTP_OAUTH2_ACCESS_TOKEN));
+}
+
+/**
+ * Build the TLS, authentication and DKIM settings of an account for nodemailer
+ * Throws on invalid settings, so stored accounts are checked before they are saved.
+ * - secure: implicit TLS (SMTPS), defaults to true on port 465; otherwise STARTTLS is used when offered
+ * - requireTLS: refuse to send unless the server upgrades with STARTTLS
+ * - tls: { rejectUnauthorized, servername, minVersion, maxVersion, ciphers, ca }
+ * - oauth2: { clientId, clientSecret, refreshToken, accessToken, expires, accessUrl } - XOAUTH2 instead of pass
+ * - dkim: { domainName, keySelector, privateKey } - sign outgoing messages
  * @param {Object} accountConfig - Account configuration
+ * @returns {Object} - { secure, requireTLS, tls, auth, dkim }
+ */
+function getTransportOptions(accountConfig) {
+  const { port, user, pass, secure, requireTLS, tls, oauth2, dkim } = accountConfig;
+
+  if (secure !== undefined && secure !== null && typeof secure !== 'boolean') {
+    throw new Error('secure must be true or false');
+  }
+
+  if (requireTLS !== undefined && requireTLS !== null && typeof requireTLS !== 'boolean') {
+    throw new Error('requireTLS must be true or false');
+  }
+
+  let auth;
+  if (oauth2) {
+    if (typeof oauth2 !== 'object') {
+      throw new Error('oauth2 must be an object');
+    }
+
+    const { clientId, clientSecret, refreshToken, accessToken, expires, accessUrl } = oauth2;
+
+    if (!accessToken && !(clientId && clientSecret && refreshToken)) {
+      throw new Error('oauth2 needs an accessToken, or clientId, clientSecret and refreshToken to fetch one');
+    }
+
+    if (accessUrl !== undefined && accessUrl !== null && !OAUTH2_ACCESS_URLS.includes(accessUrl) &&
+        !OAUTH2_ACCESS_URL_PATTERNS.some(pattern => pattern.test(accessUrl))) {
+      throw new Error('oauth2.accessUrl must be the token endpoint of Google, Microsoft 365 or one listed in SMTP_OAUTH2_ACCESS_URLS');
+    }
+
+    auth = { type: 'OAuth2', user, clientId, clientSecret, refreshToken, accessToken, expires, accessUrl };
+    Object.keys(auth).forEach(key => auth[key] === undefined && delete auth[key]);
+  } else {
+    auth = { user, pass };
+  }
+
+  // Add error handling for missing credentials
+  if (!user || (!oauth2 && !pass)) {
+    throw new Error('SMTP credentials are missing. Please provide user and pass (or oauth2) in accountConfig');
+  }
+
+  let tlsOptions;
+  if (tls !== undefined && tls !== null) {
+    if (typeof tls !== 'object' || Array.isArray(tls)) {
+      throw new Error(`tls must be an object with: ${TLS_OPTIONS.join(', ')}`);
+    }
+
+    const unknown = Object.keys(tls).filter(key => !TLS_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported tls options: ${unknown.join(', ')}`);
+    }
+
+    if (tls.rejectUnauthorized !== undefined && typeof tls.rejectUnauthorized !== 'boolean') {
+      throw new Error('tls.rejectUnauthorized must be true or false');
+    }
+
+    tlsOptions = { ...tls };
+  }
+
+  let dkimOptions;
+  if (dkim) {
+    const { domainName, keySelector, privateKey } = dkim;
+
+    if (!domainName || !keySelector || !privateKey) {
+      throw new Error('dkim needs domainName, keySelector and privateKey');
+    }
+
+    try {
+      crypto.createPrivateKey(privateKey);
+    } catch (error) {
+      throw new Error('dkim.privateKey is not a valid PEM private key');
+    }
+
+    dkimOptions = { domainName, keySelector, privateKey };
+  }
+
+  return {
+    secure: secure ?? parseInt(port) === 465,
+    requireTLS: requireTLS === true,
+    ...(tlsOptions && { tls: tlsOptions }),
+    auth,
+    ...(dkimOptions && { dkim: dkimOptions })
+  };
+}
+
+/**
+ * Create nodemailer transporter from account configuration
+ * @param {Object} accountConfig - Account configuration (see getTransportOptions for TLS, OAuth2 and DKIM)
  * @returns {Object} - Nodemailer transporter instance
  */
 function createTransporter(accountConfig) {
   try {
-    // Add error handling for missing credentials
-    if (!accountConfig.user || !accountConfig.pass) {
-      throw new Error('SMTP credentials are missing. Please provide user and pass in accountConfig');
-    }
-    
     if (!accountConfig.host || !accountConfig.port) {
       throw new Error('SMTP host and port are missing. Please provide host and port in accountConfig');
     }
     
-    // Prepare email config for nodemailer
+    // Prepare email config for nodemailer (pooled - the transporter is reused, see getTransporter)
     const emailConfig = {
       host: accountConfig.host,
       port: accountConfig.port,
-      secure: false, // use STARTTLS
-      auth: {
-        user: accountConfig.user,
-        pass: accountConfig.pass
-      }
+      ...getTransportOptions(accountConfig),
+      pool: true,
+      maxConnections: SMTP_POOL_MAX_CONNECTIONS,
+      maxMessages: SMTP_POOL_MAX_MESSAGES
     };
     
     // Return nodemailer.createTransport(emailConfig)
@@ -51,6 +220,177 @@ function createTransporter(accountConfig) {
   }
 }
 
+/**
+ * Helper function to build the cache key of an account (secrets are hashed, not kept)
+ * @param {Object} accountConfig - Account configuration
+ * @returns {string} - Cache key
+ */
+function getAccountKey(accountConfig) {
+  const { host, port, user, pass, secure, requireTLS, tls, oauth2, dkim } = accountConfig;
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([host, port, user, pass, secure, requireTLS, tls, oauth2, dkim]))
+    .digest('hex');
+}
+
+/**
+ * Helper function to update the status of an account reported on /api/health
+ * @param {string} accountKey - Cache key
+ * @param {Object} accountConfig - Account configuration
+ * @param {Object} changes - Fields to set
+ */
+function updateAccountStatus(accountKey, accountConfig, changes) {
+  const status = accountStatuses.get(accountKey) || {
+    accountId: accountConfig.id || null,
+    host: accountConfig.host,
+    port: accountConfig.port,
+    user: accountConfig.user,
+    status: 'unverified',
+    verifiedAt: null,
+    lastSentAt: null,
+    lastError: null,
+    lastErrorAt: null
+  };
+
+  // Re-insert so the most recently used accounts are kept
+  accountStatuses.delete(accountKey);
+  accountStatuses.set(accountKey, Object.assign(status, changes));
+
+  if (accountStatuses.size > SMTP_STATUS_MAX) {
+    accountStatuses.delete(accountStatuses.keys().next().value);
+  }
+}
+
+/**
+ * Helper function to record a failure of an account
+ * Message errors (e.g. a rejected recipient) are recorded without marking the account failed.
+ * @param {string} accountKey - Cache key
+ * @param {Object} accountConfig - Account configuration
+ * @param {Error} error - What went wrong
+ * @param {boolean} accountFailed - True if the account can't be used (default: decided by error.code)
+ */
+function recordAccountError(accountKey, accountConfig, error, accountFailed = ACCOUNT_ERROR_CODES.includes(error.code)) {
+  updateAccountStatus(accountKey, accountConfig, {
+    ...(accountFailed && { status: 'failed' }),
+    lastError: error.message,
+    lastErrorAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Helper function to close and forget a cached transporter
+ * @param {string} accountKey - Cache key
+ */
+function evictTransporter(accountKey) {
+  const cached = transporterCache.get(accountKey);
+
+  if (cached) {
+    transporterCache.delete(accountKey);
+    cached.transporter.close();
+  }
+}
+
+/**
+ * Get the cached, pooled transporter of an account
+ * A new transporter is verified (connection + login) before its first use; if that
+ * fails it is not cached, so the next send tries again.
+ * @param {Object} accountConfig - Account configuration
+ * @returns {Promise<Object>} - Nodemailer transporter instance
+ */
+async function getTransporter(accountConfig) {
+  const accountKey = getAccountKey(accountConfig);
+  let cached = transporterCache.get(accountKey);
+
+  if (!cached) {
+    const transporter = createTransporter(accountConfig);
+
+    cached = {
+      transporter,
+      lastUsedAt: Date.now(),
+      verifyPromise: transporter.verify()
+        .then(() => {
+          updateAccountStatus(accountKey, accountConfig, { status: 'ok', verifiedAt: new Date().toISOString() });
+          logger.info(`📧 SMTP account ${accountConfig.user} (${accountConfig.host}) verified`);
+        })
+        .catch((error) => {
+          recordAccountError(accountKey, accountConfig, error, true);
+          if (transporterCache.get(accountKey) === cached) {
+            evictTransporter(accountKey);
+          }
+          logger.error(`SMTP verification failed for ${accountConfig.user} (${accountConfig.host}):`, error.message);
+          throw new Error(`SMTP verification failed: ${error.message}`);
+        })
+    };
+
+    transporterCache.set(accountKey, cached);
+  }
+
+  cached.lastUsedAt = Date.now();
+  await cached.verifyPromise;
+
+  return cached.transporter;
+}
+
+/**
+ * Verify an account without sending (uses and warms up the transporter cache)
+ * @param {Object} accountConfig - Account configuration
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function verifyAccount(accountConfig) {
+  try {
+    await getTransporter(accountConfig);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the status of SMTP accounts used since startup
+ * @param {Function} filter - (status) => boolean, e.g. to limit accounts to a tenant (optional)
+ * @returns {Array<Object>} - [{ accountId, host, port, user, status, pooled, verifiedAt, lastSentAt, lastError, lastErrorAt }]
+ */
+function getSmtpStatus(filter = () => true) {
+  return Array.from(accountStatuses.entries())
+    .map(([accountKey, status]) => ({ ...status, pooled: transporterCache.has(accountKey) }))
+    .filter(filter);
+}
+
+/**
+ * Close the transporters and drop the status of a stored account (after it was changed or deleted)
+ * @param {string} accountId - Account identifier
+ */
+function forgetAccount(accountId) {
+  for (const [accountKey, status] of Array.from(accountStatuses.entries())) {
+    if (status.accountId === accountId) {
+      evictTransporter(accountKey);
+      accountStatuses.delete(accountKey);
+    }
+  }
+}
+
+/**
+ * Close all cached transporters (used during shutdown)
+ */
+function closeAllTransporters() {
+  for (const accountKey of Array.from(transporterCache.keys())) {
+    evictTransporter(accountKey);
+  }
+}
+
+// Close transporters that have been idle for SMTP_IDLE_TIMEOUT_MS
+const idleTimer = setInterval(() => {
+  const now = Date.now();
+
+  for (const [accountKey, cached] of transporterCache.entries()) {
+    if (now - cached.lastUsedAt > SMTP_IDLE_TIMEOUT_MS) {
+      evictTransporter(accountKey);
+      logger.debug(`📧 Idle SMTP transporter closed (${accountStatuses.get(accountKey)?.user || 'unknown'})`);
+    }
+  }
+}, Math.min(SMTP_IDLE_TIMEOUT_MS, 60000));
+idleTimer.unref?.();
+
 /**
  * Send email
  * @param {Object} accountConfig - Account configuration
@@ -59,14 +399,14 @@ function createTransporter(accountConfig) {
  * @param {string} accountConfig.user - SMTP user/email
  * @param {string} accountConfig.pass - SMTP password
  * @param {Object} options - Email options
- * @param {string} options.to - Recipient email address
+ * @param {string|Array} options.to - Recipient(s) - addresses or [{ name, address }]
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text email body
  * @param {string} options.html - HTML email body (optional)
- * @param {string} options.cc - CC recipients (optional)
- * @param {string} options.bcc - BCC recipients (optional)
- * @param {Array} options.attachments - Email attachments (optional)
- * @returns {Promise<Object>} - Returns success response with messageId
+ * @param {string|Array} options.cc - CC recipients (optional)
+ * @param {string|Array} options.bcc - BCC recipients (optional)
+ * @param {Array} options.attachments - Email attachments [{ filename, content, contentType, cid }] (optional)
+ * @returns {Promise<Object>} - Returns success response with messageId and the accepted/rejected addresses
  */
 async function sendEmail(accountConfig, options) {
   try {
@@ -81,8 +421,8 @@ async function sendEmail(accountConfig, options) {
       throw new Error('Email subject is required');
     }
     
-    // Create transporter with account config
-    const transporter = createTransporter(accountConfig);
+    // Reuse the pooled transporter of this account (verified on first use)
+    const transporter = await getTransporter(accountConfig);
     
     // Prepare mail options
     const mailOptions = {
@@ -104,26 +444,65 @@ async function sendEmail(accountConfig, options) {
     }
     
     // Send email using transporter.sendMail()
-    const info = await transporter.sendMail(mailOptions);
+    let info;
+    try {
+      info = await transporter.sendMail(mailOptions);
+    } catch (sendError) {
+      const accountKey = getAccountKey(accountConfig);
+      recordAccountError(accountKey, accountConfig, sendError);
+      
+      // Credentials stopped working - verify again on the next send
+      if (sendError.code === 'EAUTH') {
+        evictTransporter(accountKey);
+      }
+      throw sendError;
+    }
+    
+    updateAccountStatus(getAccountKey(accountConfig), accountConfig, {
+      status: 'ok',
+      lastSentAt: new Date().toISOString()
+    });
     
-    // Return success response
+    // Return success response - the server may have refused some of the recipients
     return {
       success: true,
       messageId: info.messageId,
-      response: info.response
+      response: info.response,
+      accepted: info.accepted || [],
+      rejected: info.rejected || []
     };
   } catch (error) {
-    // Handle errors with try-catch
+    // Handle errors with try-catch (all recipients refused: error.rejected lists them)
     return {
       success: false,
-      error: error.message || 'Failed to send email'
+      error: error.message || 'Failed to send email',
+      ...(error.rejected && { accepted: error.accepted || [], rejected: error.rejected })
     };
   }
 }
 
+/**
+ * Get the lower-cased addresses of all recipients of an email (e.g. for rate limiting)
+ * @param {Object} options - Email options with to, cc and bcc
+ * @returns {Array<string>} - Addresses
+ */
+function getRecipientAddresses({ to, cc, bcc }) {
+  return [to, cc, bcc]
+    .flatMap(value => (value ? [].concat(value) : []))
+    .map(recipient => (typeof recipient === 'string' ? recipient : recipient.address).trim().toLowerCase());
+}
+
 // Export functions
 module.exports = {
   sendEmail,
+  getRecipientAddresses,
   createTransporter,
-  getDefaultAccount
+  getTransportOptions,
+  getTransporter,
+  verifyAccount,
+  getSmtpStatus,
+  forgetAccount,
+  closeAllTransporters,
+  getDefaultAccount,
+  isDefaultAccountConfigured
 };
@@ -0,0 +1,242 @@
+const { getContentType, normalizeMessageContent } = require('@whiskeysockets/baileys');
+const { JsonStore } = require('../utils/jsonStore');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// Maximum number of inbound messages kept per session (oldest are dropped first)
+const INBOX_MAX_MESSAGES = parseInt(process.env.INBOX_MAX_MESSAGES) || 1000;
+
+// Baileys content types mapped to the simple message types exposed by the API
+const CONTENT_TYPES = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  documentWithCaptionMessage: 'document',
+  stickerMessage: 'sticker',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  reactionMessage: 'reaction',
+  buttonsResponseMessage: 'text',
+  listResponseMessage: 'text',
+  templateButtonReplyMessage: 'text'
+};
+
+// Content types that carry no user visible content
+const IGNORED_CONTENT_TYPES = ['protocolMessage', 'senderKeyDistributionMessage', 'messageContextInfo'];
+
+const inboxStores = new Map();
+
+/**
+ * Get (or lazily load) the inbox store of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {JsonStore} - Store holding { messages: [] }
+ */
+function getInboxStore(sessionId) {
+  if (!inboxStores.has(sessionId)) {
+    inboxStores.set(sessionId, new JsonStore(`inbox/${sessionId}`, () => ({ messages: [] })));
+  }
+  return inboxStores.get(sessionId);
+}
+
+/**
+ * Convert a phone number or JID into a chat JID
+ * @param {string} chat - Phone number or JID
+ * @returns {string} - JID
+ */
+function toChatJid(chat) {
+  if (chat.includes('@')) {
+    return chat;
+  }
+  return `${chat.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+/**
+ * Extract type and text from a Baileys message
+ * @param {Object} message - WAMessage.message
+ * @returns {{ type: string, text: string|null }|null} - Null if the message has no content
+ */
+function describeMessage(message) {
+  const content = normalizeMessageContent(message);
+  const contentType = content && getContentType(content);
+
+  if (!contentType || IGNORED_CONTENT_TYPES.includes(contentType)) {
+    return null;
+  }
+
+  const body = content[contentType] || {};
+  const text = typeof body === 'string'
+    ? body
+    : body.text ||
+      body.caption ||
+      body.selectedDisplayText ||
+      body.title ||
+      body.displayName ||
+      body.message?.documentMessage?.caption ||
+      null;
+
+  return {
+    type: CONTENT_TYPES[contentType] || contentType,
+    text
+  };
+}
+
+/**
+ * Persist inbound messages received on a session (messages.upsert)
+ * Messages sent by ourselves and status broadcasts are skipped.
+ * @param {string} sessionId - Session identifier
+ * @param {Array} messages - WAMessage list from messages.upsert
+ * @returns {number} - Number of messages stored
+ */
+function recordInboundMessages(sessionId, messages) {
+  const store = getInboxStore(sessionId);
+  const knownIds = new Set(store.data.messages.map(msg => msg.id));
+  let stored = 0;
+
+  for (const msg of messages) {
+    const { key } = msg;
+
+    if (!key || key.fromMe || !msg.message || key.remoteJid === 'status@broadcast' || knownIds.has(key.id)) {
+      continue;
+    }
+
+    const description = describeMessage(msg.message);
+    if (!description) {
+      continue;
+    }
+
+    const timestamp = msg.messageTimestamp ? Number(msg.messageTimestamp) * 1000 : Date.now();
+
+    store.data.messages.push({
+      id: key.id,
+      chatId: key.remoteJid,
+      from: key.participant || key.remoteJid,
+      pushName: msg.pushName || null,
+      isGroup: key.remoteJid.endsWith('@g.us'),
+      type: description.type,
+      text: description.text,
+      timestamp: new Date(timestamp).toISOString(),
+      receivedAt: new Date().toISOString(),
+      read: false,
+      key: {
+        remoteJid: key.remoteJid,
+        id: key.id,
+        participant: key.participant || undefined
+      }
+    });
+    knownIds.add(key.id);
+    stored++;
+  }
+
+  if (stored > 0) {
+    // Keep the inbox bounded
+    if (store.data.messages.length > INBOX_MAX_MESSAGES) {
+      store.data.messages.splice(0, store.data.messages.length - INBOX_MAX_MESSAGES);
+    }
+    store.saveSoon();
+    logger.info(`📥 Stored ${stored} inbound message(s) for session ${sessionId}`);
+  }
+
+  return stored;
+}
+
+/**
+ * Helper function to parse a date filter (ISO string or epoch milliseconds)
+ * @param {string|number} value - Date value
+ * @returns {number|null} - Epoch milliseconds, null if not provided
+ */
+function parseDateFilter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Query the inbox of a session, newest messages first
+ * @param {string} sessionId - Session identifier
+ * @param {Object} filters - Query filters (optional)
+ * @param {string} filters.chatId - Only messages from this chat (JID or phone number)
+ * @param {string|number} filters.since - Only messages at or after this time
+ * @param {string|number} filters.until - Only messages at or before this time
+ * @param {boolean} filters.unread - Only unread messages
+ * @param {number} filters.limit - Page size (default 50, max 500)
+ * @param {number} filters.offset - Page offset (default 0)
+ * @returns {Object} - { total, unread, messages }
+ */
+function getInboxMessages(sessionId, filters = {}) {
+  const since = parseDateFilter(filters.since);
+  const until = parseDateFilter(filters.until);
+  const chatId = filters.chatId ? toChatJid(filters.chatId) : null;
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const matches = getInboxStore(sessionId).data.messages.filter(msg => {
+    const time = new Date(msg.timestamp).getTime();
+    return (!chatId || msg.chatId === chatId) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until) &&
+      (!filters.unread || !msg.read);
+  });
+
+  const newestFirst = matches.slice().reverse();
+
+  return {
+    total: matches.length,
+    unread: matches.filter(msg => !msg.read).length,
+    messages: newestFirst.slice(offset, offset + limit).map(({ key, ...msg }) => msg)
+  };
+}
+
+/**
+ * Mark inbox messages as read
+ * @param {string} sessionId - Session identifier
+ * @param {Object} selection - Which messages to mark
+ * @param {Array<string>} selection.messageIds - Message IDs (optional)
+ * @param {string} selection.chatId - Mark a whole chat (optional)
+ * @returns {Array<Object>} - Message keys that were newly marked as read
+ */
+function markInboxMessagesRead(sessionId, { messageIds, chatId } = {}) {
+  const store = getInboxStore(sessionId);
+  const ids = Array.isArray(messageIds) ? new Set(messageIds) : null;
+  const chatJid = chatId ? toChatJid(chatId) : null;
+  const keys = [];
+
+  for (const msg of store.data.messages) {
+    if (msg.read) {
+      continue;
+    }
+    if ((ids && ids.has(msg.id)) || (chatJid && msg.chatId === chatJid)) {
+      msg.read = true;
+      keys.push(msg.key);
+    }
+  }
+
+  if (keys.length > 0) {
+    store.saveSoon();
+  }
+
+  return keys;
+}
+
+// A logged out session ID can be claimed by another tenant - it starts with an empty inbox
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  getInboxStore(sessionId).remove();
+  inboxStores.delete(sessionId);
+});
+
+module.exports = {
+  recordInboundMessages,
+  getInboxMessages,
+  markInboxMessagesRead,
+  parseDateFilter,
+  toChatJid
+};
@@ -0,0 +1,186 @@
+const { JsonStore } = require('../utils/jsonStore');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// Maximum number of outgoing messages tracked per session (oldest are dropped first)
+const STATUS_MAX_MESSAGES = parseInt(process.env.STATUS_MAX_MESSAGES) || 5000;
+
+// Delivery states in the order a message moves through them
+// Numeric values match Baileys' proto.WebMessageInfo.Status
+const STATUS_ORDER = ['failed', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+const statusStores = new Map();
+
+/**
+ * Get (or lazily load) the outgoing message store of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {JsonStore} - Store holding { messages: { [messageId]: record } }
+ */
+function getStatusStore(sessionId) {
+  if (!statusStores.has(sessionId)) {
+    statusStores.set(sessionId, new JsonStore(`status/${sessionId}`, () => ({ messages: {} })));
+  }
+  return statusStores.get(sessionId);
+}
+
+/**
+ * Helper function to convert a Baileys timestamp (seconds, number or Long) to ISO string
+ * @param {number|Object} timestamp - Timestamp in seconds
+ * @returns {string} - ISO date (now if not provided)
+ */
+function toIsoDate(timestamp) {
+  return timestamp ? new Date(Number(timestamp) * 1000).toISOString() : new Date().toISOString();
+}
+
+/**
+ * Start tracking an outgoing message after it was handed to WhatsApp (or could not be sent)
+ * @param {string} sessionId - Session identifier
+ * @param {Object} message - { messageId, jid, to, type, error } - error tracks it as failed
+ */
+function trackOutgoingMessage(sessionId, { messageId, jid, to, type, error = null }) {
+  const store = getStatusStore(sessionId);
+  const now = new Date().toISOString();
+
+  store.data.messages[messageId] = {
+    messageId,
+    jid,
+    to,
+    type,
+    status: error ? 'failed' : 'sent',
+    sentAt: error ? null : now,
+    deliveredAt: null,
+    readAt: null,
+    playedAt: null,
+    failedAt: error ? now : null,
+    error,
+    updatedAt: now,
+    // Per recipient receipts (group messages have one entry per participant)
+    receipts: {}
+  };
+
+  // Keep the store bounded - objects keep insertion order, so the first keys are the oldest
+  const ids = Object.keys(store.data.messages);
+  for (const id of ids.slice(0, Math.max(ids.length - STATUS_MAX_MESSAGES, 0))) {
+    delete store.data.messages[id];
+  }
+
+  store.saveSoon();
+}
+
+/**
+ * Move a tracked message to a new status. Status only moves forward
+ * (sent → delivered → read), except that any status can become "failed".
+ * @param {Object} record - Tracked message
+ * @param {string} status - New status
+ * @param {string} at - ISO date of the transition
+ * @returns {boolean} - True if the record changed
+ */
+function applyStatus(record, status, at) {
+  const current = STATUS_ORDER.indexOf(record.status);
+  const next = STATUS_ORDER.indexOf(status);
+
+  if (next < 0 || (status !== 'failed' && next <= current) || record.status === status) {
+    return false;
+  }
+
+  record.status = status;
+  record.updatedAt = new Date().toISOString();
+
+  // Fill in earlier milestones that were skipped (e.g. read without a delivery ack)
+  if (status === 'failed') {
+    record.failedAt = at;
+  } else {
+    if (next >= STATUS_ORDER.indexOf('delivered')) record.deliveredAt = record.deliveredAt || at;
+    if (next >= STATUS_ORDER.indexOf('read')) record.readAt = record.readAt || at;
+    if (next >= STATUS_ORDER.indexOf('played')) record.playedAt = record.playedAt || at;
+  }
+
+  return true;
+}
+
+/**
+ * Handle Baileys messages.update events for our own messages
+ * @param {string} sessionId - Session identifier
+ * @param {Array} updates - [{ key, update: { status } }]
+ */
+function handleMessageUpdates(sessionId, updates) {
+  const store = getStatusStore(sessionId);
+  let changed = false;
+
+  for (const { key, update } of updates) {
+    const record = key?.fromMe && store.data.messages[key.id];
+    if (!record || update?.status === undefined || update.status === null) {
+      continue;
+    }
+
+    const status = STATUS_ORDER[update.status];
+    if (status && applyStatus(record, status, new Date().toISOString())) {
+      changed = true;
+      logger.debug(`Message ${key.id} on session ${sessionId} is now ${status}`);
+    }
+  }
+
+  if (changed) {
+    store.saveSoon();
+  }
+}
+
+/**
+ * Handle Baileys message-receipt.update events (per recipient receipts)
+ * @param {string} sessionId - Session identifier
+ * @param {Array} receipts - [{ key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }]
+ */
+function handleMessageReceipts(sessionId, receipts) {
+  const store = getStatusStore(sessionId);
+  let changed = false;
+
+  for (const { key, receipt } of receipts) {
+    const record = key?.fromMe && store.data.messages[key.id];
+    if (!record || !receipt) {
+      continue;
+    }
+
+    const { userJid, receiptTimestamp, readTimestamp, playedTimestamp } = receipt;
+    const status = playedTimestamp ? 'played' : readTimestamp ? 'read' : 'delivered';
+    const at = toIsoDate(playedTimestamp || readTimestamp || receiptTimestamp);
+
+    if (userJid) {
+      record.receipts[userJid] = { status, at };
+    }
+
+    // One group member's receipt says nothing about the others - group messages keep
+    // their per-member receipts, the overall status only comes from messages.update
+    const fromParticipant = !!key.participant || record.jid.endsWith('@g.us');
+    if ((!fromParticipant && applyStatus(record, status, at)) || userJid) {
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    store.saveSoon();
+  }
+}
+
+/**
+ * Get delivery status of an outgoing message
+ * @param {string} sessionId - Session identifier
+ * @param {string} messageId - Message ID returned by the send endpoint
+ * @returns {Object|null} - Tracked message or null if unknown
+ */
+function getMessageStatus(sessionId, messageId) {
+  return getStatusStore(sessionId).data.messages[messageId] || null;
+}
+
+// Delivery statuses of a logged out session are not kept for whoever claims its ID next
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  getStatusStore(sessionId).remove();
+  statusStores.delete(sessionId);
+});
+
+module.exports = {
+  trackOutgoingMessage,
+  handleMessageUpdates,
+  handleMessageReceipts,
+  getMessageStatus,
+  STATUS_ORDER
+};
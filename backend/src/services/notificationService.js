@@ -0,0 +1,107 @@
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { sendEmail, getDefaultAccount } = require('./emailService');
+const { whatsappLimiter, emailLimiter } = require('../utils/rateLimiter');
+const logger = require('../utils/logger');
+
+// Default subject for emails sent through /api/notify
+const DEFAULT_SUBJECT = process.env.NOTIFY_DEFAULT_SUBJECT || 'Notification';
+
+/**
+ * Try to deliver a notification over WhatsApp
+ * @returns {Promise<Object>} - Attempt result
+ */
+async function attemptWhatsApp({ sessionId, recipient, message }) {
+  await whatsappLimiter.checkLimit(sessionId);
+  const result = await sendWhatsAppMessage(sessionId, recipient.phoneNumber, message);
+
+  return {
+    messageId: result.messageId,
+    to: recipient.phoneNumber
+  };
+}
+
+/**
+ * Try to deliver a notification by email
+ * @returns {Promise<Object>} - Attempt result
+ */
+async function attemptEmail({ recipient, message, subject, html, accountConfig }) {
+  await emailLimiter.checkLimit(recipient.email);
+  const result = await sendEmail(accountConfig || getDefaultAccount(), {
+    to: recipient.email,
+    subject: subject || DEFAULT_SUBJECT,
+    text: message,
+    html
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return {
+    messageId: result.messageId,
+    to: recipient.email
+  };
+}
+
+const CHANNEL_HANDLERS = {
+  whatsapp: {
+    canDeliver: ({ recipient, sessionId }) => {
+      if (!recipient.phoneNumber) return 'No phoneNumber for recipient';
+      if (!sessionId) return 'No sessionId given for WhatsApp';
+      return null;
+    },
+    send: attemptWhatsApp
+  },
+  email: {
+    canDeliver: ({ recipient }) => (recipient.email ? null : 'No email for recipient'),
+    send: attemptEmail
+  }
+};
+
+/**
+ * Send a notification over the first channel that succeeds
+ * Channels are tried in the given order; a failed channel falls back to the next one.
+ * @param {Object} notification - Notification parameters
+ * @param {Object} notification.recipient - { phoneNumber, email }
+ * @param {Array<string>} notification.channels - Preferred order (default ['whatsapp', 'email'])
+ * @param {string} notification.sessionId - WhatsApp session to send from
+ * @param {string} notification.message - Message text (email text body)
+ * @param {string} notification.subject - Email subject (optional)
+ * @param {string} notification.html - Email HTML body (optional)
+ * @param {Object} notification.accountConfig - SMTP account (optional, default from env)
+ * @returns {Promise<Object>} - { success, channel, attempts }
+ */
+async function sendNotification(notification) {
+  const channels = notification.channels || Object.keys(CHANNEL_HANDLERS);
+  const attempts = [];
+
+  for (const channel of channels) {
+    const handler = CHANNEL_HANDLERS[channel];
+    const skipReason = handler.canDeliver(notification);
+
+    if (skipReason) {
+      attempts.push({ channel, success: false, skipped: true, error: skipReason });
+      continue;
+    }
+
+    try {
+      const result = await handler.send(notification);
+      attempts.push({ channel, success: true, ...result });
+
+      logger.info(`🔔 Notification delivered via ${channel} (${attempts.length} attempt(s))`);
+
+      return { success: true, channel, ...result, attempts };
+    } catch (error) {
+      attempts.push({ channel, success: false, error: error.message });
+      logger.warn(`Notification via ${channel} failed: ${error.message}`);
+    }
+  }
+
+  logger.error('Notification failed on all channels');
+
+  return { success: false, channel: null, error: 'All channels failed', attempts };
+}
+
+module.exports = {
+  sendNotification
+};
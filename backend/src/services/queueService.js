@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const { sendWhatsAppMessage, activeSessions } = require('./whatsappService');
+const { JsonStore } = require('../utils/jsonStore');
+const { whatsappLimiter } = require('../utils/rateLimiter');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// Attempts before a message is moved to the dead-letter list
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+
+// Retry backoff: QUEUE_RETRY_BASE_MS * 2^(attempt - 1), capped at QUEUE_RETRY_MAX_MS
+const QUEUE_RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000;
+const QUEUE_RETRY_MAX_MS = parseInt(process.env.QUEUE_RETRY_MAX_MS) || 300000;
+
+// Errors that mean "wait for the session to come back" rather than "this message failed"
+const OFFLINE_ERROR_CODES = ['SESSION_NOT_FOUND', 'SESSION_NOT_CONNECTED'];
+
+const queueStores = new Map();
+const processingSessions = new Set();
+const retryTimers = new Map();
+
+/**
+ * Get (or lazily load) the queue store of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {JsonStore} - Store holding { pending: [], deadLetters: [] }
+ */
+function getQueueStore(sessionId) {
+  if (!queueStores.has(sessionId)) {
+    queueStores.set(sessionId, new JsonStore(`queue/${sessionId}`, () => ({ pending: [], deadLetters: [] })));
+  }
+  return queueStores.get(sessionId);
+}
+
+/**
+ * Helper function to make media JSON serializable (buffers are stored as base64)
+ * @param {Object|null} media - Normalized media
+ * @returns {Object|null} - Serializable media
+ */
+function serializeMedia(media) {
+  if (!media || !media.buffer) {
+    return media || null;
+  }
+  const { buffer, ...rest } = media;
+  return { ...rest, base64: buffer.toString('base64') };
+}
+
+/**
+ * Helper function to restore media saved by serializeMedia
+ * @param {Object|null} media - Serialized media
+ * @returns {Object|null} - Normalized media
+ */
+function deserializeMedia(media) {
+  if (!media || !media.base64) {
+    return media || null;
+  }
+  const { base64, ...rest } = media;
+  return { ...rest, buffer: Buffer.from(base64, 'base64') };
+}
+
+/**
+ * Helper function to build the public view of a queue entry (without media content)
+ * @param {Object} entry - Queue entry
+ * @returns {Object} - Entry summary
+ */
+function toEntrySummary(entry) {
+  const { media, ...summary } = entry;
+  return {
+    ...summary,
+    mediaType: media ? media.type : null
+  };
+}
+
+/**
+ * Schedule the next queue run for a session at the earliest retry time
+ * @param {string} sessionId - Session identifier
+ */
+function scheduleRetry(sessionId) {
+  clearTimeout(retryTimers.get(sessionId));
+  retryTimers.delete(sessionId);
+
+  const { pending } = getQueueStore(sessionId).data;
+  if (pending.length === 0) {
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...pending.map(entry => new Date(entry.nextAttemptAt).getTime()));
+  const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(sessionId);
+    processQueue(sessionId);
+  }, delay);
+  timer.unref?.();
+  retryTimers.set(sessionId, timer);
+}
+
+/**
+ * Send all due messages of a session queue, in order
+ * Stops when the session goes offline; the queue resumes on the next 'open' event.
+ * @param {string} sessionId - Session identifier
+ */
+async function processQueue(sessionId) {
+  if (processingSessions.has(sessionId)) {
+    return;
+  }
+
+  const session = activeSessions.get(sessionId);
+  if (!session || !session.isConnected) {
+    return;
+  }
+
+  processingSessions.add(sessionId);
+  const store = getQueueStore(sessionId);
+
+  try {
+    while (true) {
+      const now = Date.now();
+      const entry = store.data.pending.find(item => new Date(item.nextAttemptAt).getTime() <= now);
+
+      if (!entry) {
+        break;
+      }
+
+      await whatsappLimiter.waitForSlot(sessionId);
+
+      try {
+        const result = await sendWhatsAppMessage(sessionId, entry.phoneNumber, entry.message, {
+          media: deserializeMedia(entry.media),
+          verifyNumber: entry.verifyNumber
+        });
+
+        store.data.pending = store.data.pending.filter(item => item.id !== entry.id);
+        logger.info(`📤 Queued message ${entry.id} sent for session ${sessionId} (messageId: ${result.messageId})`);
+      } catch (error) {
+        if (OFFLINE_ERROR_CODES.includes(error.code)) {
+          // Session went away - keep the message as is and wait for reconnect
+          logger.warn(`Queue for session ${sessionId} paused: ${error.message}`);
+          break;
+        }
+
+        entry.attempts++;
+        entry.lastError = error.message;
+        entry.lastAttemptAt = new Date().toISOString();
+
+        // Unregistered numbers will never succeed - don't retry them
+        if (entry.attempts >= QUEUE_MAX_ATTEMPTS || error.code === 'NOT_ON_WHATSAPP') {
+          store.data.pending = store.data.pending.filter(item => item.id !== entry.id);
+          store.data.deadLetters.push({ ...entry, deadLetteredAt: new Date().toISOString() });
+          logger.error(`☠️ Queued message ${entry.id} dead-lettered after ${entry.attempts} attempts: ${error.message}`);
+        } else {
+          const backoff = Math.min(QUEUE_RETRY_BASE_MS * 2 ** (entry.attempts - 1), QUEUE_RETRY_MAX_MS);
+          entry.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+          logger.warn(`Queued message ${entry.id} failed (attempt ${entry.attempts}), retrying in ${Math.round(backoff / 1000)}s`);
+        }
+      }
+
+      store.save();
+    }
+  } finally {
+    processingSessions.delete(sessionId);
+    scheduleRetry(sessionId);
+  }
+}
+
+/**
+ * Add a message to the persistent queue of a session
+ * It is sent right away if the session is connected, otherwise when it connects.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} params - Message parameters
+ * @param {string} params.phoneNumber - Recipient phone number or group JID
+ * @param {string} params.message - Message text or caption
+ * @param {Object} params.media - Normalized media (optional)
+ * @param {boolean} params.verifyNumber - Check the number is on WhatsApp before sending (optional)
+ * @returns {Object} - Queue entry summary
+ */
+function enqueueMessage(sessionId, { phoneNumber, message, media = null, verifyNumber = false }) {
+  const store = getQueueStore(sessionId);
+  const now = new Date().toISOString();
+
+  const entry = {
+    id: crypto.randomUUID(),
+    phoneNumber,
+    message,
+    media: serializeMedia(media),
+    verifyNumber,
+    attempts: 0,
+    lastError: null,
+    lastAttemptAt: null,
+    nextAttemptAt: now,
+    createdAt: now
+  };
+
+  store.data.pending.push(entry);
+  store.save();
+
+  logger.info(`📥 Message ${entry.id} queued for session ${sessionId} (${store.data.pending.length} pending)`);
+
+  processQueue(sessionId).catch(err => logger.error(`Error processing queue for ${sessionId}:`, err));
+
+  return toEntrySummary(entry);
+}
+
+/**
+ * Get pending and dead-lettered messages of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - { pending, deadLetters }
+ */
+function getQueue(sessionId) {
+  const { pending, deadLetters } = getQueueStore(sessionId).data;
+  return {
+    pending: pending.map(toEntrySummary),
+    deadLetters: deadLetters.map(toEntrySummary)
+  };
+}
+
+/**
+ * Remove a pending or dead-lettered message
+ * @param {string} sessionId - Session identifier
+ * @param {string} entryId - Queue entry identifier
+ * @returns {boolean} - True if the entry existed
+ */
+function removeQueuedMessage(sessionId, entryId) {
+  const store = getQueueStore(sessionId);
+  const before = store.data.pending.length + store.data.deadLetters.length;
+
+  store.data.pending = store.data.pending.filter(entry => entry.id !== entryId);
+  store.data.deadLetters = store.data.deadLetters.filter(entry => entry.id !== entryId);
+
+  if (store.data.pending.length + store.data.deadLetters.length === before) {
+    return false;
+  }
+
+  store.save();
+  return true;
+}
+
+/**
+ * Move a dead-lettered message back to the queue with a fresh attempt count
+ * @param {string} sessionId - Session identifier
+ * @param {string} entryId - Queue entry identifier
+ * @returns {Object|null} - Entry summary or null if not found
+ */
+function retryDeadLetter(sessionId, entryId) {
+  const store = getQueueStore(sessionId);
+  const entry = store.data.deadLetters.find(item => item.id === entryId);
+
+  if (!entry) {
+    return null;
+  }
+
+  const { deadLetteredAt, ...retried } = entry;
+  retried.attempts = 0;
+  retried.nextAttemptAt = new Date().toISOString();
+
+  store.data.deadLetters = store.data.deadLetters.filter(item => item.id !== entryId);
+  store.data.pending.push(retried);
+  store.save();
+
+  processQueue(sessionId).catch(err => logger.error(`Error processing queue for ${sessionId}:`, err));
+
+  return toEntrySummary(retried);
+}
+
+// Flush the queue as soon as a session (re)connects
+sessionEvents.on('open', ({ sessionId }) => {
+  processQueue(sessionId).catch(err => logger.error(`Error processing queue for ${sessionId}:`, err));
+});
+
+// Messages of a logged out session must not go out from the number that claims its ID next
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  clearTimeout(retryTimers.get(sessionId));
+  retryTimers.delete(sessionId);
+  getQueueStore(sessionId).remove();
+  queueStores.delete(sessionId);
+});
+
+module.exports = {
+  enqueueMessage,
+  getQueue,
+  removeQueuedMessage,
+  retryDeadLetter,
+  processQueue
+};
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { enqueueMessage } = require('./queueService');
+const { sendEmail, getRecipientAddresses } = require('./emailService');
+const { getAccountConfig, sealAccountConfig, openAccountConfig } = require('./smtpAccountService');
+const { DEFAULT_RECONNECT_POLICY } = require('../config/reconnect');
+const { JsonStore, DATA_DIR } = require('../utils/jsonStore');
+const { whatsappLimiter, emailLimiter } = require('../utils/rateLimiter');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// setTimeout cannot wait longer than ~24.8 days, so long waits are split up
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Finished (sent/failed/cancelled) schedules kept for listing
+const SCHEDULE_MAX_FINISHED = parseInt(process.env.SCHEDULE_MAX_FINISHED) || 1000;
+
+const CHANNELS = ['whatsapp', 'email'];
+
+// Media and attachments of pending schedules, one directory per job - kept out of
+// schedules.json, which is held in memory and rewritten on every change
+const SCHEDULE_FILES_DIR = path.join(DATA_DIR, 'schedule-files');
+
+const scheduleStore = new JsonStore('schedules', () => ({ jobs: [] }));
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Helper function to build the public view of a schedule (no media/attachment content or SMTP password)
+ * @param {Object} job - Scheduled job
+ * @returns {Object} - Job summary
+ */
+function toScheduleSummary(job) {
+  const { media, accountConfig, attachments, ...payload } = job.payload;
+  return {
+    ...job,
+    payload: {
+      ...payload,
+      mediaType: media ? media.type : undefined,
+      accountUser: accountConfig ? accountConfig.user : undefined,
+      attachments: attachments ? attachments.map(({ base64, file, ...attachment }) => attachment) : undefined
+    }
+  };
+}
+
+/**
+ * Helper function to store a buffer of a schedule in its files directory
+ * @param {string} jobId - Schedule identifier
+ * @param {string} name - File name inside the job directory
+ * @param {Buffer} buffer - Content
+ * @returns {string} - Path relative to SCHEDULE_FILES_DIR (stored in the job)
+ */
+function writeJobFile(jobId, name, buffer) {
+  const file = path.join(jobId, name);
+  fs.mkdirSync(path.join(SCHEDULE_FILES_DIR, jobId), { recursive: true });
+  fs.writeFileSync(path.join(SCHEDULE_FILES_DIR, file), buffer, { mode: 0o600 });
+  return file;
+}
+
+/**
+ * Helper function to read the content of stored media or an attachment
+ * Schedules created by older versions have the content inline as base64.
+ * @param {Object} entry - { file } or { base64 }
+ * @returns {Buffer} - Content
+ */
+function readJobFile(entry) {
+  return entry.file
+    ? fs.readFileSync(path.join(SCHEDULE_FILES_DIR, entry.file))
+    : Buffer.from(entry.base64, 'base64');
+}
+
+/**
+ * Helper function to delete the stored files of a schedule once they are not needed anymore
+ * @param {Object} job - Scheduled job
+ */
+function removeJobFiles(job) {
+  try {
+    fs.rmSync(path.join(SCHEDULE_FILES_DIR, job.id), { recursive: true, force: true });
+  } catch (err) {
+    logger.error(`Failed to remove files of schedule ${job.id}:`, err.message);
+  }
+}
+
+/**
+ * Helper function to drop the oldest finished schedules above SCHEDULE_MAX_FINISHED
+ */
+function pruneFinished() {
+  const finished = scheduleStore.data.jobs.filter(job => job.status !== 'scheduled');
+  const excess = new Set(finished.slice(0, Math.max(finished.length - SCHEDULE_MAX_FINISHED, 0)));
+
+  if (excess.size > 0) {
+    scheduleStore.data.jobs = scheduleStore.data.jobs.filter(job => !excess.has(job));
+  }
+}
+
+/**
+ * Arm the timer for the next due schedule
+ */
+function armTimer() {
+  clearTimeout(schedulerTimer);
+  schedulerTimer = null;
+
+  const upcoming = scheduleStore.data.jobs.filter(job => job.status === 'scheduled');
+  if (upcoming.length === 0) {
+    return;
+  }
+
+  const nextRunAt = Math.min(...upcoming.map(job => new Date(job.sendAt).getTime()));
+  const delay = Math.min(Math.max(nextRunAt - Date.now(), 0), MAX_TIMER_MS);
+
+  schedulerTimer = setTimeout(() => {
+    schedulerTimer = null;
+    runDueJobs().catch(err => logger.error('Scheduler run failed:', err));
+  }, delay);
+  schedulerTimer.unref?.();
+}
+
+// Send errors that mean the session is offline or the connection dropped - the queue retries these
+const OFFLINE_ERROR_CODES = ['SESSION_NOT_FOUND', 'SESSION_NOT_CONNECTED'];
+
+/**
+ * Helper function to check if a send error goes away once the session is back
+ * Baileys connection errors carry the same status codes as disconnects (408, 428, ...).
+ * @param {Error} error - Error thrown by sendWhatsAppMessage
+ * @returns {boolean} - True if the message should be queued
+ */
+function isTransientSendError(error) {
+  return OFFLINE_ERROR_CODES.includes(error.code) ||
+    DEFAULT_RECONNECT_POLICY.retryableStatusCodes.includes(error.output?.statusCode);
+}
+
+/**
+ * Deliver a due WhatsApp schedule
+ * If the session is offline the message is handed to the outbound queue,
+ * any other send error (invalid number, bad media, ...) fails the schedule.
+ * @param {Object} job - Scheduled job
+ */
+async function runWhatsAppJob(job) {
+  const { phoneNumber, message, media, verifyNumber } = job.payload;
+  let queuedMedia = media || null;
+
+  if (media && (media.file || media.base64)) {
+    const { base64, file, ...rest } = media;
+    queuedMedia = { ...rest, buffer: readJobFile(media) };
+  }
+
+  try {
+    await whatsappLimiter.waitForSlot(job.sessionId);
+    const result = await sendWhatsAppMessage(job.sessionId, phoneNumber, message, { media: queuedMedia, verifyNumber });
+
+    job.status = 'sent';
+    job.result = { messageId: result.messageId };
+  } catch (error) {
+    if (!isTransientSendError(error)) {
+      throw error;
+    }
+
+    const entry = enqueueMessage(job.sessionId, { phoneNumber, message, media: queuedMedia, verifyNumber });
+
+    job.status = 'queued';
+    job.error = error.message;
+    job.result = { queueId: entry.id };
+  }
+}
+
+/**
+ * Deliver a due email schedule
+ * When the recipient is rate limited, the schedule is pushed back until a slot is free.
+ * @param {Object} job - Scheduled job
+ */
+async function runEmailJob(job) {
+  const { accountId, accountConfig, attachments, ...emailOptions } = job.payload;
+
+  const recipients = getRecipientAddresses(emailOptions);
+  const waitTime = Math.max(0, ...recipients.map(address => emailLimiter.getWaitTime(address)));
+  if (waitTime > 0) {
+    job.sendAt = new Date(Date.now() + waitTime).toISOString();
+    job.error = 'Rate limit exceeded, rescheduled';
+    logger.warn(`Email schedule ${job.id} rate limited, moved to ${job.sendAt}`);
+    return;
+  }
+  await emailLimiter.checkLimits(recipients);
+
+  if (attachments) {
+    emailOptions.attachments = attachments.map(({ base64, file, ...attachment }) => ({
+      ...attachment,
+      content: readJobFile({ base64, file })
+    }));
+  }
+
+  // A stored account is looked up now, so password changes since scheduling apply
+  const result = await sendEmail(accountConfig ? openAccountConfig(accountConfig) : getAccountConfig(accountId), emailOptions);
+
+  if (result.success) {
+    job.status = 'sent';
+    job.result = { messageId: result.messageId, accepted: result.accepted, rejected: result.rejected };
+  } else {
+    job.status = 'failed';
+    job.error = result.error;
+  }
+}
+
+/**
+ * Run every schedule whose sendAt has passed (including ones missed while the server was down)
+ */
+async function runDueJobs() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    while (true) {
+      const now = Date.now();
+      const job = scheduleStore.data.jobs.find(
+        item => item.status === 'scheduled' && new Date(item.sendAt).getTime() <= now
+      );
+
+      if (!job) {
+        break;
+      }
+
+      const sendAt = job.sendAt;
+      try {
+        if (job.channel === 'whatsapp') {
+          await runWhatsAppJob(job);
+        } else {
+          await runEmailJob(job);
+        }
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+
+      job.updatedAt = new Date().toISOString();
+      if (job.status !== 'scheduled') {
+        job.executedAt = job.updatedAt;
+        removeJobFiles(job);
+        logger.info(`⏰ Schedule ${job.id} (${job.channel}, due ${sendAt}) ${job.status}`);
+      }
+
+      pruneFinished();
+      scheduleStore.save();
+    }
+  } finally {
+    running = false;
+    armTimer();
+  }
+}
+
+/**
+ * Schedule a WhatsApp message or email for later delivery
+ * @param {Object} params - Schedule parameters
+ * @param {string} params.channel - 'whatsapp' or 'email'
+ * @param {string} params.sessionId - WhatsApp session (whatsapp only)
+ * @param {string} params.tenantId - Tenant that created the schedule (optional)
+ * @param {Date} params.sendAt - When to send
+ * @param {Object} params.payload - whatsapp: { phoneNumber, message, media }, email: { accountId, accountConfig, to, subject, text, html, cc, bcc, attachments }
+ * @returns {Object} - Schedule summary
+ */
+function createSchedule({ channel, sessionId = null, tenantId = null, sendAt, payload }) {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`channel must be one of: ${CHANNELS.join(', ')}`);
+  }
+
+  const id = crypto.randomUUID();
+  const storedPayload = { ...payload };
+
+  // An inline SMTP account is encrypted like stored accounts (password, OAuth2 secrets, DKIM key)
+  if (storedPayload.accountConfig) {
+    storedPayload.accountConfig = sealAccountConfig(storedPayload.accountConfig);
+  }
+
+  // Buffers (uploads/base64) are written to files so they survive restarts
+  try {
+    if (storedPayload.media && storedPayload.media.buffer) {
+      const { buffer, ...media } = storedPayload.media;
+      storedPayload.media = { ...media, file: writeJobFile(id, 'media', buffer) };
+    }
+
+    if (storedPayload.attachments && storedPayload.attachments.length > 0) {
+      storedPayload.attachments = storedPayload.attachments.map(({ content, ...attachment }, index) => ({
+        ...attachment,
+        file: writeJobFile(id, `attachment-${index}`, content)
+      }));
+    } else {
+      delete storedPayload.attachments;
+    }
+  } catch (err) {
+    removeJobFiles({ id });
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    channel,
+    sessionId,
+    tenantId,
+    sendAt: new Date(sendAt).toISOString(),
+    status: 'scheduled',
+    payload: storedPayload,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    executedAt: null
+  };
+
+  scheduleStore.data.jobs.push(job);
+  scheduleStore.save();
+  armTimer();
+
+  logger.info(`⏰ ${channel} message scheduled for ${job.sendAt} (${job.id})`);
+
+  return toScheduleSummary(job);
+}
+
+/**
+ * List schedules, soonest first
+ * @param {Object} filters - Filters (optional)
+ * @param {string} filters.channel - 'whatsapp' or 'email'
+ * @param {string} filters.status - scheduled | sent | queued | failed | cancelled
+ * @param {string} filters.sessionId - WhatsApp session
+ * @param {string} filters.tenantId - Tenant that created the schedule
+ * @returns {Array<Object>} - Schedule summaries
+ */
+function listSchedules({ channel, status, sessionId, tenantId } = {}) {
+  return scheduleStore.data.jobs
+    .filter(job => (!channel || job.channel === channel) &&
+      (!status || job.status === status) &&
+      (!sessionId || job.sessionId === sessionId) &&
+      (!tenantId || job.tenantId === tenantId))
+    .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt))
+    .map(toScheduleSummary);
+}
+
+/**
+ * Get a schedule
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Object|null} - Schedule summary or null if unknown
+ */
+function getSchedule(scheduleId) {
+  const job = scheduleStore.data.jobs.find(item => item.id === scheduleId);
+  return job ? toScheduleSummary(job) : null;
+}
+
+/**
+ * Helper function to find a schedule that can still be changed
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Object} - Scheduled job
+ */
+function findPendingSchedule(scheduleId) {
+  const job = scheduleStore.data.jobs.find(item => item.id === scheduleId);
+
+  if (!job) {
+    const notFoundError = new Error('Schedule not found');
+    notFoundError.statusCode = 404;
+    throw notFoundError;
+  }
+
+  if (job.status !== 'scheduled') {
+    const conflictError = new Error(`Schedule is already ${job.status}`);
+    conflictError.statusCode = 409;
+    throw conflictError;
+  }
+
+  return job;
+}
+
+/**
+ * Move a pending schedule to a new time
+ * @param {string} scheduleId - Schedule identifier
+ * @param {Date} sendAt - New send time
+ * @returns {Object} - Schedule summary
+ */
+function rescheduleSchedule(scheduleId, sendAt) {
+  const job = findPendingSchedule(scheduleId);
+
+  job.sendAt = new Date(sendAt).toISOString();
+  job.updatedAt = new Date().toISOString();
+  scheduleStore.save();
+  armTimer();
+
+  return toScheduleSummary(job);
+}
+
+/**
+ * Cancel a pending schedule
+ * @param {string} scheduleId - Schedule identifier
+ * @returns {Object} - Schedule summary
+ */
+function cancelSchedule(scheduleId) {
+  const job = findPendingSchedule(scheduleId);
+
+  job.status = 'cancelled';
+  job.updatedAt = new Date().toISOString();
+  removeJobFiles(job);
+  scheduleStore.save();
+  armTimer();
+
+  return toScheduleSummary(job);
+}
+
+/**
+ * Start the scheduler - sends anything that became due while the server was down
+ */
+function startScheduler() {
+  const pending = scheduleStore.data.jobs.filter(job => job.status === 'scheduled').length;
+  logger.info(`⏰ Scheduler started (${pending} pending schedule(s))`);
+  runDueJobs().catch(err => logger.error('Scheduler run failed:', err));
+}
+
+// Pending schedules of a logged out session must not be sent from the number that claims its ID next
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  const jobs = scheduleStore.data.jobs.filter(job => job.sessionId === sessionId && job.status === 'scheduled');
+
+  if (jobs.length === 0) {
+    return;
+  }
+
+  for (const job of jobs) {
+    job.status = 'cancelled';
+    job.error = 'Session logged out';
+    job.updatedAt = new Date().toISOString();
+    removeJobFiles(job);
+  }
+  scheduleStore.save();
+  armTimer();
+  logger.info(`⏰ ${jobs.length} schedule(s) of logged out session ${sessionId} cancelled`);
+});
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  rescheduleSchedule,
+  cancelSchedule,
+  startScheduler
+};
@@ -0,0 +1,141 @@
+const { JsonStore } = require('../utils/jsonStore');
+const { parseDateFilter } = require('./inboxService');
+const sessionEvents = require('../utils/sessionEvents');
+const logger = require('../utils/logger');
+
+// Maximum number of lifecycle events kept per session (oldest are dropped first)
+const SESSION_EVENTS_MAX = parseInt(process.env.SESSION_EVENTS_MAX) || 500;
+
+// Status changes worth recording on their own (the rest is covered by other events)
+const STATUS_EVENT_TYPES = {
+  authenticating: 'qr_scanned',
+  pairing_authenticating: 'pairing_code_entered',
+  failed: 'failed',
+  suspended: 'suspended',
+  disconnected: 'disconnected'
+};
+
+const historyStores = new Map();
+
+/**
+ * Get (or lazily load) the event history store of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {JsonStore} - Store holding { events: [] }
+ */
+function getHistoryStore(sessionId) {
+  if (!historyStores.has(sessionId)) {
+    historyStores.set(sessionId, new JsonStore(`events/${sessionId}`, () => ({ events: [] })));
+  }
+  return historyStores.get(sessionId);
+}
+
+/**
+ * Append a lifecycle event to the history of a session
+ * QR codes refresh every ~20 seconds, so consecutive qr_generated events are
+ * collapsed into one entry with a count instead of flooding the history.
+ * @param {string} sessionId - Session identifier
+ * @param {string} type - Event type
+ * @param {Object} details - Event specific fields
+ */
+function recordSessionEvent(sessionId, type, details = {}) {
+  const store = getHistoryStore(sessionId);
+  const { events } = store.data;
+  const now = new Date().toISOString();
+  const last = events[events.length - 1];
+
+  if (type === 'qr_generated' && last && last.type === 'qr_generated') {
+    last.count = (last.count || 1) + 1;
+    last.lastAt = now;
+  } else {
+    events.push({ type, at: now, ...details });
+  }
+
+  if (events.length > SESSION_EVENTS_MAX) {
+    events.splice(0, events.length - SESSION_EVENTS_MAX);
+  }
+
+  store.saveSoon();
+}
+
+/**
+ * Query the event history of a session, newest first
+ * @param {string} sessionId - Session identifier
+ * @param {Object} filters - Query filters (optional)
+ * @param {string} filters.type - Only events of this type (comma separated for several)
+ * @param {string|number} filters.since - Only events at or after this time
+ * @param {string|number} filters.until - Only events at or before this time
+ * @param {number} filters.limit - Page size (default 100, max 500)
+ * @returns {Object} - { total, events }
+ */
+function getSessionEvents(sessionId, filters = {}) {
+  const since = parseDateFilter(filters.since);
+  const until = parseDateFilter(filters.until);
+  const types = filters.type ? String(filters.type).split(',').map(type => type.trim()) : null;
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 500);
+
+  const matching = getHistoryStore(sessionId).data.events
+    .filter(event => {
+      const time = new Date(event.at).getTime();
+      return (!types || types.includes(event.type)) &&
+        (since === null || time >= since) &&
+        (until === null || time <= until);
+    })
+    .reverse();
+
+  return {
+    total: matching.length,
+    events: matching.slice(0, limit)
+  };
+}
+
+/**
+ * Helper function to record events without ever breaking the emitter
+ */
+function safeRecord(sessionId, type, details) {
+  try {
+    recordSessionEvent(sessionId, type, details);
+  } catch (error) {
+    logger.error(`Error recording ${type} event for session ${sessionId}:`, error);
+  }
+}
+
+sessionEvents.on('qr', ({ sessionId }) => safeRecord(sessionId, 'qr_generated', { count: 1 }));
+
+sessionEvents.on('pairing_code', ({ sessionId, session }) => {
+  safeRecord(sessionId, 'pairing_code_generated', { phoneNumber: session?.pairingPhoneNumber || null });
+});
+
+sessionEvents.on('open', ({ sessionId, phoneNumber }) => safeRecord(sessionId, 'opened', { phoneNumber }));
+
+sessionEvents.on('disconnect', ({ sessionId, statusCode, reason, willReconnect }) => {
+  safeRecord(sessionId, 'closed', { statusCode, reason, willReconnect });
+});
+
+sessionEvents.on('reconnect_scheduled', ({ sessionId, attempt, maxAttempts, delayMs, nextRetryAt }) => {
+  safeRecord(sessionId, 'reconnect_scheduled', { attempt, maxAttempts, delayMs, nextRetryAt });
+});
+
+sessionEvents.on('status', ({ sessionId, status, previousStatus, session }) => {
+  const type = STATUS_EVENT_TYPES[status];
+  if (!type) {
+    return;
+  }
+
+  const details = { previousStatus };
+  if (status === 'failed' && session?.lastDisconnect) {
+    details.statusCode = session.lastDisconnect.statusCode;
+    details.reason = session.lastDisconnect.reason;
+  }
+  safeRecord(sessionId, type, details);
+});
+
+// The history ends with the logout - whoever claims the ID next starts a new one
+sessionEvents.on('session_removed', ({ sessionId }) => {
+  getHistoryStore(sessionId).remove();
+  historyStores.delete(sessionId);
+});
+
+module.exports = {
+  recordSessionEvent,
+  getSessionEvents
+};
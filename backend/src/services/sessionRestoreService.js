@@ -0,0 +1,94 @@
+const { initializeWhatsApp, activeSessions } = require('./whatsappService');
+const { getAuthStateStore } = require('../utils/authStateStore');
+const logger = require('../utils/logger');
+
+// Set WHATSAPP_RESTORE_SESSIONS=false to skip restoring saved sessions on boot
+const RESTORE_ENABLED = process.env.WHATSAPP_RESTORE_SESSIONS !== 'false';
+
+// Comma separated session IDs to restore (empty = every saved session)
+const RESTORE_ALLOWLIST = (process.env.WHATSAPP_RESTORE_ALLOWLIST || '')
+  .split(',')
+  .map(sessionId => sessionId.trim())
+  .filter(Boolean);
+
+// Pause between two restored sessions so sockets don't all connect at once
+const RESTORE_STAGGER_MS = parseInt(process.env.WHATSAPP_RESTORE_STAGGER_MS) || 3000;
+
+/**
+ * Find sessions with saved, logged-in credentials
+ * Credentials without "me" belong to a QR login that was never completed (same for
+ * a pairing code that was never entered), restoring them would only wait for a scan nobody makes.
+ * @returns {Promise<Array<string>>} - Session IDs
+ */
+async function findSavedSessions() {
+  const authStore = getAuthStateStore();
+  const saved = [];
+
+  for (const sessionId of await authStore.listSessions()) {
+    const creds = await authStore.readCreds(sessionId);
+    // Pairing code logins set "me" right away, "registered" once the code was entered
+    const pairingPending = !!creds?.pairingCode && !creds.registered;
+
+    if (creds?.me && !pairingPending) {
+      saved.push(sessionId);
+    }
+  }
+
+  return saved;
+}
+
+/**
+ * Re-initialize saved WhatsApp sessions after a restart, one at a time
+ * @returns {Promise<Object>} - { restored, failed, skipped }
+ */
+async function restoreSessions() {
+  if (!RESTORE_ENABLED) {
+    logger.info('♻️ Session restore disabled (WHATSAPP_RESTORE_SESSIONS=false)');
+    return { restored: [], failed: [], skipped: [] };
+  }
+
+  const saved = await findSavedSessions();
+  const toRestore = RESTORE_ALLOWLIST.length > 0
+    ? saved.filter(sessionId => RESTORE_ALLOWLIST.includes(sessionId))
+    : saved;
+  const skipped = saved.filter(sessionId => !toRestore.includes(sessionId));
+  const restored = [];
+  const failed = [];
+
+  if (toRestore.length === 0) {
+    logger.info(`♻️ No saved WhatsApp sessions to restore${skipped.length ? ` (${skipped.length} not in allow-list)` : ''}`);
+    return { restored, failed, skipped };
+  }
+
+  logger.info(`♻️ Restoring ${toRestore.length} saved WhatsApp session(s), ${RESTORE_STAGGER_MS}ms apart`);
+
+  for (const [index, sessionId] of toRestore.entries()) {
+    if (index > 0) {
+      await new Promise(resolve => setTimeout(resolve, RESTORE_STAGGER_MS));
+    }
+
+    // Someone may have connected it through the API in the meantime
+    if (activeSessions.has(sessionId)) {
+      skipped.push(sessionId);
+      continue;
+    }
+
+    try {
+      await initializeWhatsApp(sessionId);
+      restored.push(sessionId);
+      logger.info(`♻️ Session ${sessionId} restored`);
+    } catch (error) {
+      failed.push(sessionId);
+      logger.error(`Failed to restore session ${sessionId}:`, error.message);
+    }
+  }
+
+  logger.info(`♻️ Session restore finished: ${restored.length} restored, ${failed.length} failed, ${skipped.length} skipped`);
+
+  return { restored, failed, skipped };
+}
+
+module.exports = {
+  findSavedSessions,
+  restoreSessions
+};
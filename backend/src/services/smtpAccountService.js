@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JsonStore, DATA_DIR } = require('../utils/jsonStore');
+const { getDefaultAccount, getTransportOptions, forgetAccount } = require('./emailService');
+const { assignOwner, releaseOwner, canAccess } = require('./tenantService');
+const logger = require('../utils/logger');
+
+// Secret that encrypts stored SMTP passwords (any string, or 64 hex chars used as the raw key)
+const SMTP_ENCRYPTION_KEY = process.env.SMTP_ENCRYPTION_KEY || '';
+
+// Used when SMTP_ENCRYPTION_KEY is not set - generated on first use
+const GENERATED_KEY_FILE = path.join(DATA_DIR, 'smtp-accounts.key');
+
+// ID of the account from .env (see getDefaultAccount)
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// OAuth2 fields that are encrypted like passwords
+const OAUTH2_SECRET_FIELDS = ['clientSecret', 'refreshToken', 'accessToken'];
+
+// Stored passwords look like v1:<iv>:<auth tag>:<ciphertext> (base64, AES-256-GCM)
+const CIPHER_VERSION = 'v1';
+
+const accountStore = new JsonStore('smtp-accounts', () => ({ accounts: [] }));
+let encryptionKey = null;
+
+/**
+ * Helper function to create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+function createError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Helper function to get the 32 byte key that encrypts stored passwords
+ * Without SMTP_ENCRYPTION_KEY a random key is kept next to the data (readable only by
+ * the server user) - set SMTP_ENCRYPTION_KEY to keep the key out of backups of DATA_PATH.
+ * @returns {Buffer} - AES-256 key
+ */
+function getEncryptionKey() {
+  if (encryptionKey) {
+    return encryptionKey;
+  }
+
+  if (/^[0-9a-fA-F]{64}$/.test(SMTP_ENCRYPTION_KEY)) {
+    encryptionKey = Buffer.from(SMTP_ENCRYPTION_KEY, 'hex');
+  } else if (SMTP_ENCRYPTION_KEY) {
+    encryptionKey = crypto.scryptSync(SMTP_ENCRYPTION_KEY, 'smtp-accounts', 32);
+  } else {
+    if (!fs.existsSync(GENERATED_KEY_FILE)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.writeFileSync(GENERATED_KEY_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      logger.warn(`🔐 SMTP_ENCRYPTION_KEY is not set - generated ${GENERATED_KEY_FILE} to encrypt SMTP passwords`);
+    }
+    encryptionKey = Buffer.from(fs.readFileSync(GENERATED_KEY_FILE, 'utf8').trim(), 'hex');
+  }
+
+  return encryptionKey;
+}
+
+/**
+ * Helper function to encrypt a secret for storage
+ * @param {string} plainText - Secret
+ * @returns {string} - Encrypted value
+ */
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [CIPHER_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * Helper function to decrypt a stored secret
+ * @param {string} value - Encrypted value
+ * @returns {string} - Secret
+ */
+function decryptSecret(value) {
+  const [version, iv, authTag, encrypted] = String(value).split(':');
+
+  if (version !== CIPHER_VERSION) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Helper function to decrypt an optional secret (null stays null)
+ * @param {string|null} value - Encrypted value
+ * @returns {string|undefined} - Secret
+ */
+function decryptOptional(value) {
+  return value ? decryptSecret(value) : undefined;
+}
+
+/**
+ * Helper function to encrypt the secrets of normalized account fields for storage
+ * (pass, oauth2 clientSecret/refreshToken/accessToken and the DKIM private key)
+ * @param {Object} fields - Normalized fields
+ * @returns {Object} - Fields to store
+ */
+function encryptAccountSecrets(fields) {
+  const { pass, oauth2, dkim } = fields;
+
+  return {
+    ...fields,
+    pass: pass ? encryptSecret(pass) : null,
+    oauth2: oauth2 && {
+      ...oauth2,
+      ...Object.fromEntries(OAUTH2_SECRET_FIELDS.map(field => [field, oauth2[field] ? encryptSecret(oauth2[field]) : null]))
+    },
+    dkim: dkim && { ...dkim, privateKey: encryptSecret(dkim.privateKey) }
+  };
+}
+
+/**
+ * Helper function to get the account fields of a stored account with its secrets decrypted
+ * @param {Object} account - Stored account
+ * @returns {Object} - { name, host, port, user, pass, secure, requireTLS, tls, oauth2, dkim }
+ */
+function decryptAccountSecrets(account) {
+  const { name, host, port, user, pass, secure = null, requireTLS = false, tls = null, oauth2 = null, dkim = null } = account;
+
+  try {
+    return {
+      name,
+      host,
+      port,
+      user,
+      pass: decryptOptional(pass),
+      secure,
+      requireTLS,
+      tls,
+      oauth2: oauth2 && {
+        ...oauth2,
+        ...Object.fromEntries(OAUTH2_SECRET_FIELDS.map(field => [field, decryptOptional(oauth2[field])]))
+      },
+      dkim: dkim && { ...dkim, privateKey: decryptSecret(dkim.privateKey) }
+    };
+  } catch (error) {
+    throw createError(500, `Can't decrypt the secrets of SMTP account ${account.id} - was SMTP_ENCRYPTION_KEY changed?`);
+  }
+}
+
+/**
+ * Helper function to build the public view of an account (never includes passwords, tokens or keys)
+ * @param {Object} account - Stored account
+ * @returns {Object} - Account summary
+ */
+function toAccountSummary(account) {
+  const { pass, oauth2, dkim, ...summary } = account;
+
+  return {
+    ...summary,
+    authType: oauth2 ? 'oauth2' : 'password',
+    oauth2: oauth2 ? { clientId: oauth2.clientId || null, accessUrl: oauth2.accessUrl || null } : null,
+    dkim: dkim ? { domainName: dkim.domainName, keySelector: dkim.keySelector } : null
+  };
+}
+
+/**
+ * Validate and normalize account fields
+ * The TLS, OAuth2 and DKIM settings are checked the same way as for sending (getTransportOptions).
+ * @param {Object} data - { name, host, port, user, pass, secure, requireTLS, tls, oauth2, dkim }
+ * @returns {Object} - Normalized fields (secrets still in plain text)
+ */
+function normalizeAccount({ name, host, port, user, pass, secure, requireTLS, tls, oauth2, dkim }) {
+  const portNumber = parseInt(port);
+
+  if (!host || typeof host !== 'string') {
+    throw createError(400, 'host is required');
+  }
+
+  if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+    throw createError(400, 'port must be a number between 1 and 65535');
+  }
+
+  if (!user || typeof user !== 'string') {
+    throw createError(400, 'user is required');
+  }
+
+  if (!oauth2 && (!pass || typeof pass !== 'string')) {
+    throw createError(400, 'pass is required (or oauth2)');
+  }
+
+  try {
+    getTransportOptions({ port: portNumber, user, pass, secure, requireTLS, tls, oauth2, dkim });
+  } catch (error) {
+    throw createError(400, error.message);
+  }
+
+  let oauth2Fields = null;
+  if (oauth2) {
+    oauth2Fields = Object.fromEntries(
+      ['clientId', 'clientSecret', 'refreshToken', 'accessToken', 'expires', 'accessUrl']
+        .filter(field => oauth2[field] !== undefined && oauth2[field] !== null)
+        .map(field => [field, oauth2[field]])
+    );
+  }
+
+  return {
+    name: String(name || user),
+    host: host.trim(),
+    port: portNumber,
+    user: user.trim(),
+    pass: pass || null,
+    secure: typeof secure === 'boolean' ? secure : null,
+    requireTLS: requireTLS === true,
+    tls: tls || null,
+    oauth2: oauth2Fields,
+    dkim: dkim ? { domainName: dkim.domainName, keySelector: dkim.keySelector, privateKey: dkim.privateKey } : null
+  };
+}
+
+/**
+ * Helper function to find an account the tenant may use (admins: any)
+ * @param {string} accountId - Account identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Stored account
+ */
+function findAccount(accountId, tenant) {
+  const account = accountStore.data.accounts.find(item => item.id === accountId);
+
+  if (!account || !canAccess(tenant, 'smtpAccounts', account.id)) {
+    throw createError(404, `SMTP account ${accountId} not found`);
+  }
+
+  return account;
+}
+
+/**
+ * List the SMTP accounts of a tenant (admins: all)
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Array<Object>} - Account summaries
+ */
+function listAccounts(tenant) {
+  return accountStore.data.accounts
+    .filter(account => canAccess(tenant, 'smtpAccounts', account.id))
+    .map(toAccountSummary);
+}
+
+/**
+ * Get an SMTP account
+ * @param {string} accountId - Account identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Account summary
+ */
+function getAccount(accountId, tenant) {
+  return toAccountSummary(findAccount(accountId, tenant));
+}
+
+/**
+ * Create a named SMTP account - passwords, OAuth2 secrets and DKIM keys are encrypted before they are stored
+ * @param {Object} tenant - Owner ({ id, admin })
+ * @param {Object} data - { id, name, host, port, user, pass, secure, requireTLS, tls, oauth2, dkim } (id is generated if not given)
+ * @returns {Object} - Account summary
+ */
+function createAccount(tenant, data) {
+  const accountId = data.id || crypto.randomUUID();
+
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(accountId)) {
+    throw createError(400, 'id must be 1-64 letters, digits, "-" or "_"');
+  }
+
+  if (accountId === DEFAULT_ACCOUNT_ID || accountStore.data.accounts.some(item => item.id === accountId)) {
+    throw createError(409, `SMTP account ${accountId} already exists`);
+  }
+
+  const fields = normalizeAccount(data);
+  const now = new Date().toISOString();
+
+  const account = {
+    id: accountId,
+    tenantId: tenant.id,
+    ...encryptAccountSecrets(fields),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  accountStore.data.accounts.push(account);
+  accountStore.save();
+  assignOwner('smtpAccounts', account.id, tenant.id);
+  logger.info(`📧 SMTP account ${account.id} (${account.user}) created for tenant ${tenant.id}`);
+
+  return toAccountSummary(account);
+}
+
+/**
+ * Update an SMTP account - missing fields (including secrets) keep their current value,
+ * null removes an optional one (e.g. dkim: null); oauth2, tls and dkim are replaced as a whole
+ * @param {string} accountId - Account identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {Object} data - Fields to change
+ * @returns {Object} - Account summary
+ */
+function updateAccount(accountId, tenant, data) {
+  const account = findAccount(accountId, tenant);
+  const current = decryptAccountSecrets(account);
+
+  const changes = Object.fromEntries(
+    Object.keys(current)
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, data[field]])
+  );
+  const fields = normalizeAccount({ ...current, ...changes });
+
+  Object.assign(account, encryptAccountSecrets(fields), {
+    updatedAt: new Date().toISOString()
+  });
+  accountStore.save();
+
+  // Close the transporter of the old settings
+  forgetAccount(account.id);
+
+  return toAccountSummary(account);
+}
+
+/**
+ * Delete an SMTP account
+ * Schedules that reference it fail when they are due.
+ * @param {string} accountId - Account identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ */
+function deleteAccount(accountId, tenant) {
+  const account = findAccount(accountId, tenant);
+
+  accountStore.data.accounts = accountStore.data.accounts.filter(item => item.id !== account.id);
+  accountStore.save();
+  releaseOwner('smtpAccounts', account.id);
+  forgetAccount(account.id);
+  logger.info(`📧 SMTP account ${account.id} deleted`);
+}
+
+/**
+ * Check whether a stored SMTP account exists
+ * @param {string} accountId - Account identifier
+ * @returns {boolean} - True if the account exists
+ */
+function hasAccount(accountId) {
+  return accountStore.data.accounts.some(item => item.id === accountId);
+}
+
+/**
+ * Get the sendable configuration of an account, with decrypted secrets
+ * For use by the email services only - never put the result in a response.
+ * Access must be checked by the caller (see authorizeSmtpAccount).
+ * @param {string} accountId - Account identifier ('default' = account from .env)
+ * @returns {Object} - { id, host, port, user, pass, secure, requireTLS, tls, oauth2, dkim }
+ */
+function getAccountConfig(accountId = DEFAULT_ACCOUNT_ID) {
+  if (accountId === DEFAULT_ACCOUNT_ID) {
+    return getDefaultAccount();
+  }
+
+  const account = accountStore.data.accounts.find(item => item.id === accountId);
+
+  if (!account) {
+    throw createError(404, `SMTP account ${accountId} not found`);
+  }
+
+  const { name, ...accountConfig } = decryptAccountSecrets(account);
+
+  return {
+    id: account.id,
+    ...accountConfig
+  };
+}
+
+/**
+ * Encrypt the secrets of an inline accountConfig that has to be kept on disk (scheduled emails)
+ * @param {Object} accountConfig - { host, port, user, pass, secure, requireTLS, tls, oauth2, dkim }
+ * @returns {Object} - Account config with encrypted secrets (see openAccountConfig)
+ */
+function sealAccountConfig(accountConfig) {
+  try {
+    getTransportOptions(accountConfig);
+  } catch (error) {
+    throw createError(400, error.message);
+  }
+
+  const { host, port, user, pass, secure, requireTLS, tls, oauth2, dkim } = accountConfig;
+  return encryptAccountSecrets({ host, port, user, pass, secure, requireTLS, tls, oauth2, dkim });
+}
+
+/**
+ * Decrypt an account config sealed with sealAccountConfig
+ * @param {Object} sealedConfig - Account config with encrypted secrets
+ * @returns {Object} - Account config for sendEmail
+ */
+function openAccountConfig(sealedConfig) {
+  const { name, ...accountConfig } = decryptAccountSecrets({ id: 'inline', ...sealedConfig });
+  return accountConfig;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT_ID,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  hasAccount,
+  getAccountConfig,
+  sealAccountConfig,
+  openAccountConfig
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { JsonStore } = require('../utils/jsonStore');
+const { getPlaceholders, renderTemplate } = require('../utils/template');
+const logger = require('../utils/logger');
+
+const templateStore = new JsonStore('templates', () => ({ templates: [] }));
+
+/**
+ * Helper function to create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+function createError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Helper function to build the public view of a template (with the placeholders it uses)
+ * @param {Object} template - Stored template
+ * @returns {Object} - Template with placeholders list
+ */
+function toTemplateSummary(template) {
+  const texts = [
+    template.whatsapp?.body,
+    template.email?.subject,
+    template.email?.text,
+    template.email?.html
+  ];
+
+  return {
+    ...template,
+    placeholders: [...new Set(texts.flatMap(getPlaceholders))]
+  };
+}
+
+/**
+ * Validate and normalize template fields
+ * @param {Object} data - { name, description, whatsapp: { body }, email: { subject, text, html }, defaults }
+ * @returns {Object} - Normalized fields
+ */
+function normalizeTemplate({ name, description, whatsapp, email, defaults }) {
+  if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+    throw createError(400, 'name is required (1-64 letters, digits, "-" or "_")');
+  }
+
+  const normalized = {
+    name,
+    description: description || '',
+    whatsapp: null,
+    email: null,
+    defaults: {}
+  };
+
+  if (whatsapp) {
+    if (!whatsapp.body || String(whatsapp.body).trim() === '') {
+      throw createError(400, 'whatsapp.body cannot be empty');
+    }
+    normalized.whatsapp = { body: String(whatsapp.body) };
+  }
+
+  if (email) {
+    if (!email.subject || String(email.subject).trim() === '') {
+      throw createError(400, 'email.subject is required');
+    }
+    if (!email.text && !email.html) {
+      throw createError(400, 'At least one of email.text or email.html is required');
+    }
+    normalized.email = {
+      subject: String(email.subject),
+      text: email.text ? String(email.text) : null,
+      html: email.html ? String(email.html) : null
+    };
+  }
+
+  if (!normalized.whatsapp && !normalized.email) {
+    throw createError(400, 'A template needs a whatsapp body and/or an email subject with text/html');
+  }
+
+  if (defaults !== undefined) {
+    if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+      throw createError(400, 'defaults must be an object');
+    }
+    normalized.defaults = defaults;
+  }
+
+  return normalized;
+}
+
+/**
+ * Helper function to find a template the tenant may use (admins: any)
+ * Names are unique per tenant, so a name is looked up in the caller's own templates first.
+ * @param {string} idOrName - Template ID or name
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Stored template
+ */
+function findTemplate(idOrName, tenant) {
+  const templates = templateStore.data.templates
+    .filter(template => tenant.admin || template.tenantId === tenant.id);
+
+  const template = templates.find(item => item.id === idOrName)
+    || templates.find(item => item.name === idOrName && item.tenantId === tenant.id)
+    || templates.find(item => item.name === idOrName);
+
+  if (!template) {
+    throw createError(404, `Template ${idOrName} not found`);
+  }
+
+  return template;
+}
+
+/**
+ * Helper function to make sure no other template of the tenant uses a name
+ */
+function assertUniqueName(name, tenantId, exceptId = null) {
+  const existing = templateStore.data.templates
+    .find(template => template.name === name && template.tenantId === tenantId);
+  if (existing && existing.id !== exceptId) {
+    throw createError(409, `A template named "${name}" already exists`);
+  }
+}
+
+/**
+ * List the templates of a tenant (admins: all)
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Array<Object>} - Template summaries
+ */
+function listTemplates(tenant) {
+  return templateStore.data.templates
+    .filter(template => tenant.admin || template.tenantId === tenant.id)
+    .map(toTemplateSummary);
+}
+
+/**
+ * Get a template by ID or name
+ * @param {string} idOrName - Template ID or name
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Template summary
+ */
+function getTemplate(idOrName, tenant) {
+  return toTemplateSummary(findTemplate(idOrName, tenant));
+}
+
+/**
+ * Create a template
+ * @param {Object} tenant - Owner ({ id, admin })
+ * @param {Object} data - Template fields (see normalizeTemplate)
+ * @returns {Object} - Template summary
+ */
+function createTemplate(tenant, data) {
+  const fields = normalizeTemplate(data);
+  assertUniqueName(fields.name, tenant.id);
+
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    tenantId: tenant.id,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  templateStore.data.templates.push(template);
+  templateStore.save();
+  logger.info(`📝 Template created: ${template.name}`);
+
+  return toTemplateSummary(template);
+}
+
+/**
+ * Update a template - missing fields keep their current value
+ * @param {string} idOrName - Template ID or name
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {Object} data - Fields to change
+ * @returns {Object} - Template summary
+ */
+function updateTemplate(idOrName, tenant, data) {
+  const template = findTemplate(idOrName, tenant);
+
+  const fields = normalizeTemplate({
+    name: data.name ?? template.name,
+    description: data.description ?? template.description,
+    whatsapp: data.whatsapp !== undefined ? data.whatsapp : template.whatsapp,
+    email: data.email !== undefined ? data.email : template.email,
+    defaults: data.defaults ?? template.defaults
+  });
+  assertUniqueName(fields.name, template.tenantId, template.id);
+
+  Object.assign(template, fields, { updatedAt: new Date().toISOString() });
+  templateStore.save();
+  logger.info(`📝 Template updated: ${template.name}`);
+
+  return toTemplateSummary(template);
+}
+
+/**
+ * Delete a template
+ * @param {string} idOrName - Template ID or name
+ * @param {Object} tenant - Caller ({ id, admin })
+ */
+function deleteTemplate(idOrName, tenant) {
+  const template = findTemplate(idOrName, tenant);
+
+  templateStore.data.templates = templateStore.data.templates.filter(item => item.id !== template.id);
+  templateStore.save();
+  logger.info(`📝 Template deleted: ${template.name}`);
+}
+
+/**
+ * Render a template for a channel
+ * Variables are merged over the template defaults; any placeholder left unresolved is an error.
+ * Values are HTML-escaped in email html and inserted as they are everywhere else.
+ * @param {string} idOrName - Template ID or name
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {string} channel - 'whatsapp' or 'email'
+ * @param {Object} variables - Placeholder values
+ * @returns {Object} - whatsapp: { message }, email: { subject, text, html }
+ */
+function renderTemplateForChannel(idOrName, tenant, channel, variables = {}) {
+  const template = findTemplate(idOrName, tenant);
+
+  if (!template[channel]) {
+    throw createError(400, `Template ${template.name} has no ${channel} content`);
+  }
+
+  const values = { ...template.defaults, ...variables };
+  const missing = new Set();
+  const render = (text, options) => {
+    const result = renderTemplate(text, values, options);
+    result.missing.forEach(name => missing.add(name));
+    return result.text;
+  };
+
+  const rendered = channel === 'whatsapp'
+    ? { message: render(template.whatsapp.body) }
+    : {
+      subject: render(template.email.subject),
+      text: render(template.email.text) || undefined,
+      html: render(template.email.html, { html: true }) || undefined
+    };
+
+  if (missing.size > 0) {
+    throw createError(400, `Missing template variables: ${[...missing].join(', ')}`);
+  }
+
+  return rendered;
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplateForChannel
+};
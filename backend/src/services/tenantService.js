@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { JsonStore } = require('../utils/jsonStore');
+const logger = require('../utils/logger');
+
+// Set API_AUTH_ENABLED=false to run without API keys (every caller is an admin)
+const AUTH_ENABLED = process.env.API_AUTH_ENABLED !== 'false';
+
+// Master key from the environment - an admin that can create the other keys
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+// Tenant of the admin key (and of every caller when auth is disabled)
+const ADMIN_TENANT_ID = 'admin';
+
+// Tenant allowed to send with the SMTP account from .env (empty = admin keys only)
+const SMTP_DEFAULT_TENANT = process.env.SMTP_DEFAULT_TENANT || '';
+
+// Generated keys look like wem_<48 hex chars>; only a hash is stored
+const API_KEY_PREFIX = 'wem_';
+
+const apiKeyStore = new JsonStore('api-keys', () => ({ keys: [] }));
+
+// Resource ownership: { sessions: { sessionId: tenantId }, smtpAccounts: { accountId: tenantId } }
+const ownershipStore = new JsonStore('ownership', () => ({ sessions: {}, smtpAccounts: {} }));
+
+/**
+ * Helper function to create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+function createError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Helper function to hash an API key for storage and lookup
+ * @param {string} apiKey - Plain API key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Helper function to build the public view of a key (never includes the key or its hash)
+ * @param {Object} key - Stored key
+ * @returns {Object} - Key summary
+ */
+function toKeySummary(key) {
+  const { hash, ...summary } = key;
+  return summary;
+}
+
+/**
+ * Create an API key for a tenant
+ * The plain key is only returned here - store it, it can't be shown again.
+ * @param {Object} params - Key parameters
+ * @param {string} params.tenantId - Tenant the key belongs to
+ * @param {string} params.name - Label (optional)
+ * @param {boolean} params.admin - Admin keys see every tenant and manage all keys (optional)
+ * @returns {Object} - Key summary with the plain key
+ */
+function createApiKey({ tenantId, name = '', admin = false }) {
+  if (!tenantId || !/^[a-zA-Z0-9_-]{1,64}$/.test(tenantId)) {
+    throw createError(400, 'tenantId is required (1-64 letters, digits, "-" or "_")');
+  }
+
+  const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const key = {
+    id: crypto.randomUUID(),
+    tenantId,
+    name: String(name || ''),
+    admin: admin === true,
+    keyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    hash: hashApiKey(apiKey),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  apiKeyStore.data.keys.push(key);
+  apiKeyStore.save();
+  logger.info(`🔑 API key ${key.keyPrefix}… created for tenant ${tenantId}${key.admin ? ' (admin)' : ''}`);
+
+  return { ...toKeySummary(key), key: apiKey };
+}
+
+/**
+ * List API keys
+ * @param {string} tenantId - Only keys of this tenant (optional)
+ * @returns {Array<Object>} - Key summaries
+ */
+function listApiKeys(tenantId = null) {
+  return apiKeyStore.data.keys
+    .filter(key => !tenantId || key.tenantId === tenantId)
+    .map(toKeySummary);
+}
+
+/**
+ * Revoke an API key - requests with it are rejected from now on
+ * @param {string} keyId - Key identifier
+ * @param {string} tenantId - Only revoke if the key belongs to this tenant (optional)
+ * @returns {Object|null} - Key summary or null if unknown
+ */
+function revokeApiKey(keyId, tenantId = null) {
+  const key = apiKeyStore.data.keys.find(item => item.id === keyId && (!tenantId || item.tenantId === tenantId));
+
+  if (!key) {
+    return null;
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    apiKeyStore.save();
+    logger.info(`🔑 API key ${key.keyPrefix}… of tenant ${key.tenantId} revoked`);
+  }
+
+  return toKeySummary(key);
+}
+
+/**
+ * Resolve the tenant of an API key
+ * @param {string} apiKey - Plain API key from the request
+ * @returns {Object|null} - { id, admin, keyId } or null if the key is unknown or revoked
+ */
+function authenticateApiKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const hash = hashApiKey(apiKey);
+
+  if (ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex'))) {
+    return { id: ADMIN_TENANT_ID, admin: true, keyId: null };
+  }
+
+  const key = apiKeyStore.data.keys.find(item => item.hash === hash && !item.revokedAt);
+
+  if (!key) {
+    return null;
+  }
+
+  key.lastUsedAt = new Date().toISOString();
+  apiKeyStore.saveSoon();
+
+  return { id: key.tenantId, admin: key.admin, keyId: key.id };
+}
+
+/**
+ * Get the owning tenant of a resource
+ * The SMTP account from .env has the ID 'default' and belongs to SMTP_DEFAULT_TENANT.
+ * @param {string} type - 'sessions' or 'smtpAccounts'
+ * @param {string} resourceId - Session or account identifier
+ * @returns {string|null} - Tenant ID or null if unowned
+ */
+function getOwner(type, resourceId) {
+  if (type === 'smtpAccounts' && resourceId === 'default') {
+    return SMTP_DEFAULT_TENANT || null;
+  }
+  return ownershipStore.data[type][resourceId] || null;
+}
+
+/**
+ * Assign a resource to a tenant
+ * @param {string} type - 'sessions' or 'smtpAccounts'
+ * @param {string} resourceId - Session or account identifier
+ * @param {string} tenantId - Owning tenant
+ */
+function assignOwner(type, resourceId, tenantId) {
+  if (ownershipStore.data[type][resourceId] === tenantId) {
+    return;
+  }
+
+  ownershipStore.data[type][resourceId] = tenantId;
+  ownershipStore.save();
+  logger.info(`🏷️ ${type === 'sessions' ? 'Session' : 'SMTP account'} ${resourceId} assigned to tenant ${tenantId}`);
+}
+
+/**
+ * Forget the owner of a resource (e.g. after a logout), so its ID can be reused
+ * @param {string} type - 'sessions' or 'smtpAccounts'
+ * @param {string} resourceId - Session or account identifier
+ */
+function releaseOwner(type, resourceId) {
+  if (!ownershipStore.data[type][resourceId]) {
+    return;
+  }
+
+  delete ownershipStore.data[type][resourceId];
+  ownershipStore.save();
+}
+
+/**
+ * Check whether a tenant may use a resource - admins may use everything,
+ * other tenants only what they own (unowned resources are admin only)
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {string} type - 'sessions' or 'smtpAccounts'
+ * @param {string} resourceId - Session or account identifier
+ * @returns {boolean} - True if allowed
+ */
+function canAccess(tenant, type, resourceId) {
+  return !!tenant && (tenant.admin || getOwner(type, resourceId) === tenant.id);
+}
+
+if (AUTH_ENABLED && !ADMIN_API_KEY && apiKeyStore.data.keys.length === 0) {
+  logger.warn('🔒 API authentication is enabled but there are no API keys - set ADMIN_API_KEY to create some');
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  ADMIN_TENANT_ID,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+  getOwner,
+  assignOwner,
+  releaseOwner,
+  canAccess
+};
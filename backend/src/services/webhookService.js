@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { JsonStore } = require('../utils/jsonStore');
+const sessionEvents = require('../utils/sessionEvents');
+const { canAccess } = require('./tenantService');
+const { assertPublicHost, publicLookup } = require('../utils/publicHost');
+const logger = require('../utils/logger');
+
+// Attempts per delivery before it is marked failed
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Retry backoff: WEBHOOK_RETRY_BASE_MS * 2^(attempt - 1), capped at WEBHOOK_RETRY_MAX_MS
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000;
+
+// How long a receiver may take to answer
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Deliveries kept in the log of each subscription (oldest finished ones are dropped first)
+const WEBHOOK_LOG_MAX = parseInt(process.env.WEBHOOK_LOG_MAX) || 200;
+
+// Pending deliveries per subscription - while a receiver is down the oldest ones beyond
+// this are failed, so retries (and their timers) don't pile up without limit
+const WEBHOOK_PENDING_MAX = Math.min(parseInt(process.env.WEBHOOK_PENDING_MAX) || 100, WEBHOOK_LOG_MAX);
+
+// Webhook URLs must resolve to public addresses so tenants can't probe the server's
+// network (loopback, private ranges, cloud metadata). Set to true for internal receivers.
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Re-check the address on connect, so a host can't switch to a private one after validation
+const deliveryAgents = WEBHOOK_ALLOW_PRIVATE_HOSTS
+  ? {}
+  : { httpAgent: new http.Agent({ lookup: publicLookup }), httpsAgent: new https.Agent({ lookup: publicLookup }) };
+
+// Events a subscription can ask for ('*' = all of them)
+const WEBHOOK_EVENTS = [
+  'session.connected',
+  'session.disconnected',
+  'session.reconnecting',
+  'session.logged_out',
+  'session.banned',
+  'session.failed',
+  'session.suspended',
+  'message.sent',
+  'message.failed'
+];
+
+// WhatsApp closes a banned number's connection with 403 Forbidden
+const BANNED_STATUS_CODE = 403;
+
+const webhookStore = new JsonStore('webhooks', () => ({ subscriptions: [] }));
+const deliveryStores = new Map();
+const retryTimers = new Map();
+
+/**
+ * Helper function to create an error with an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+function createError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Get (or lazily load) the delivery log of a subscription
+ * @param {string} subscriptionId - Subscription identifier
+ * @returns {JsonStore} - Store holding { deliveries: [] }
+ */
+function getDeliveryStore(subscriptionId) {
+  if (!deliveryStores.has(subscriptionId)) {
+    deliveryStores.set(subscriptionId, new JsonStore(`webhooks/${subscriptionId}`, () => ({ deliveries: [] })));
+  }
+  return deliveryStores.get(subscriptionId);
+}
+
+/**
+ * Helper function to build the public view of a subscription (without its secret)
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} - Subscription summary
+ */
+function toSubscriptionSummary(subscription) {
+  const { secret, ...summary } = subscription;
+  return summary;
+}
+
+/**
+ * Sign a webhook body - receivers recompute this over "<timestamp>.<raw body>"
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate and normalize subscription fields
+ * @param {Object} data - { url, events, sessionIds, secret, active }
+ * @returns {Object} - Normalized fields
+ */
+function normalizeSubscription({ url, events, sessionIds, secret, active }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw createError(400, 'url must be a valid http(s) URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw createError(400, 'url must be a valid http(s) URL');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw createError(400, `events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown events: ${unknown.join(', ')}`);
+  }
+
+  if (sessionIds !== undefined && sessionIds !== null &&
+      (!Array.isArray(sessionIds) || sessionIds.some(sessionId => typeof sessionId !== 'string'))) {
+    throw createError(400, 'sessionIds must be an array of session IDs');
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw createError(400, 'secret must be a string of at least 16 characters');
+  }
+
+  return {
+    url: parsedUrl.toString(),
+    events: [...new Set(events)],
+    sessionIds: sessionIds && sessionIds.length > 0 ? [...new Set(sessionIds)] : null,
+    secret: secret || 'whsec_' + crypto.randomBytes(24).toString('hex'),
+    active: active !== false
+  };
+}
+
+/**
+ * Helper function to make sure a webhook URL points to a public host
+ * @param {string} url - Normalized subscription URL
+ * @returns {Promise<void>} - Rejects with a 400 error
+ */
+async function assertDeliverableUrl(url) {
+  if (WEBHOOK_ALLOW_PRIVATE_HOSTS) {
+    return;
+  }
+
+  const { hostname } = new URL(url);
+  try {
+    await assertPublicHost(hostname);
+  } catch (error) {
+    throw createError(400, error.code === 'ENONPUBLIC'
+      ? 'url must point to a public host (see WEBHOOK_ALLOW_PRIVATE_HOSTS)'
+      : `url host ${hostname} could not be resolved`);
+  }
+}
+
+/**
+ * Helper function to find a subscription the tenant may manage (admins: any)
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Stored subscription
+ */
+function findSubscription(subscriptionId, tenant) {
+  const subscription = webhookStore.data.subscriptions.find(item => item.id === subscriptionId);
+
+  if (!subscription || (!tenant.admin && subscription.tenantId !== tenant.id)) {
+    throw createError(404, 'Webhook subscription not found');
+  }
+
+  return subscription;
+}
+
+/**
+ * List webhook subscriptions of a tenant (admins: all)
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Array<Object>} - Subscription summaries
+ */
+function listSubscriptions(tenant) {
+  return webhookStore.data.subscriptions
+    .filter(subscription => tenant.admin || subscription.tenantId === tenant.id)
+    .map(toSubscriptionSummary);
+}
+
+/**
+ * Get a webhook subscription
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Subscription summary
+ */
+function getSubscription(subscriptionId, tenant) {
+  return toSubscriptionSummary(findSubscription(subscriptionId, tenant));
+}
+
+/**
+ * Create a webhook subscription
+ * The secret is only returned here (and when it is changed) - it signs every delivery.
+ * @param {Object} tenant - Owner ({ id, admin }) - events are limited to its sessions
+ * @param {Object} data - { url, events, sessionIds, secret, active }
+ * @returns {Promise<Object>} - Subscription summary with secret
+ */
+async function createSubscription(tenant, data) {
+  const fields = normalizeSubscription(data);
+  await assertDeliverableUrl(fields.url);
+  const now = new Date().toISOString();
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    tenantId: tenant.id,
+    admin: !!tenant.admin,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  webhookStore.data.subscriptions.push(subscription);
+  webhookStore.save();
+  logger.info(`🪝 Webhook ${subscription.id} created for ${subscription.url} (${subscription.events.join(', ')})`);
+
+  return { ...toSubscriptionSummary(subscription), secret: subscription.secret };
+}
+
+/**
+ * Update a webhook subscription - missing fields keep their current value
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} - Subscription summary (with secret if it was changed)
+ */
+async function updateSubscription(subscriptionId, tenant, data) {
+  const subscription = findSubscription(subscriptionId, tenant);
+
+  const fields = normalizeSubscription({
+    url: data.url ?? subscription.url,
+    events: data.events ?? subscription.events,
+    sessionIds: data.sessionIds !== undefined ? data.sessionIds : subscription.sessionIds,
+    secret: data.secret ?? subscription.secret,
+    active: data.active ?? subscription.active
+  });
+  await assertDeliverableUrl(fields.url);
+
+  Object.assign(subscription, fields, { updatedAt: new Date().toISOString() });
+  webhookStore.save();
+
+  const summary = toSubscriptionSummary(subscription);
+  return data.secret ? { ...summary, secret: subscription.secret } : summary;
+}
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ */
+function deleteSubscription(subscriptionId, tenant) {
+  const subscription = findSubscription(subscriptionId, tenant);
+  const store = getDeliveryStore(subscription.id);
+
+  for (const delivery of store.data.deliveries) {
+    clearTimeout(retryTimers.get(delivery.id));
+    retryTimers.delete(delivery.id);
+  }
+
+  store.remove();
+  deliveryStores.delete(subscription.id);
+
+  webhookStore.data.subscriptions = webhookStore.data.subscriptions.filter(item => item.id !== subscription.id);
+  webhookStore.save();
+  logger.info(`🪝 Webhook ${subscription.id} deleted`);
+}
+
+/**
+ * Helper function to fail the oldest pending deliveries above WEBHOOK_PENDING_MAX and
+ * drop the oldest finished deliveries above WEBHOOK_LOG_MAX
+ * @param {JsonStore} store - Delivery log store
+ */
+function trimDeliveryLog(store) {
+  const pending = store.data.deliveries.filter(delivery => delivery.status === 'pending');
+  const dropped = pending.slice(0, Math.max(pending.length - WEBHOOK_PENDING_MAX, 0));
+
+  for (const delivery of dropped) {
+    clearTimeout(retryTimers.get(delivery.id));
+    retryTimers.delete(delivery.id);
+
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.error = `Dropped: more than ${WEBHOOK_PENDING_MAX} deliveries pending`;
+    delivery.updatedAt = new Date().toISOString();
+    logger.warn(`🪝 ${delivery.event} delivery ${delivery.id} dropped: more than ${WEBHOOK_PENDING_MAX} deliveries pending`);
+  }
+
+  if (dropped.length > 0) {
+    store.saveSoon();
+  }
+
+  let excess = store.data.deliveries.length - WEBHOOK_LOG_MAX;
+
+  if (excess <= 0) {
+    return;
+  }
+
+  store.data.deliveries = store.data.deliveries.filter(delivery => {
+    if (excess > 0 && delivery.status !== 'pending') {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Schedule the next attempt of a delivery
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} delivery - Delivery record
+ */
+function scheduleAttempt(subscriptionId, delivery) {
+  clearTimeout(retryTimers.get(delivery.id));
+
+  const delay = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0);
+  const timer = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    attemptDelivery(subscriptionId, delivery.id)
+      .catch(err => logger.error(`Webhook delivery ${delivery.id} failed:`, err));
+  }, delay);
+  timer.unref?.();
+  retryTimers.set(delivery.id, timer);
+}
+
+/**
+ * POST a delivery to its subscription URL and record the outcome
+ * Anything but a 2xx answer is retried with exponential backoff.
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {string} deliveryId - Delivery identifier
+ */
+async function attemptDelivery(subscriptionId, deliveryId) {
+  const subscription = webhookStore.data.subscriptions.find(item => item.id === subscriptionId);
+  const store = getDeliveryStore(subscriptionId);
+  const delivery = store.data.deliveries.find(item => item.id === deliveryId);
+
+  if (!subscription || !delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+
+  try {
+    await assertDeliverableUrl(subscription.url);
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'whatsapp-email-messenger-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...deliveryAgents
+    });
+
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.updatedAt = attempt.at;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    logger.debug(`🪝 ${delivery.event} delivered to ${subscription.url} (${attempt.statusCode})`);
+  } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.error(`🪝 ${delivery.event} to ${subscription.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    const backoff = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1), WEBHOOK_RETRY_MAX_MS);
+    delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+    logger.warn(`🪝 ${delivery.event} to ${subscription.url} failed (${attempt.error}), retrying in ${Math.round(backoff / 1000)}s`);
+    scheduleAttempt(subscriptionId, delivery);
+  }
+
+  store.saveSoon();
+}
+
+/**
+ * Add a delivery to the log of a subscription and send it right away
+ * @param {Object} subscription - Stored subscription
+ * @param {string} event - Event name
+ * @param {string|null} sessionId - Session the event belongs to
+ * @param {Object} data - Event data
+ * @returns {Object} - Delivery record
+ */
+function enqueueDelivery(subscription, event, sessionId, data) {
+  const store = getDeliveryStore(subscription.id);
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+
+  const delivery = {
+    id,
+    event,
+    sessionId,
+    status: 'pending',
+    payload: { id, event, sessionId, createdAt: now, data },
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.data.deliveries.push(delivery);
+  trimDeliveryLog(store);
+  store.saveSoon();
+
+  attemptDelivery(subscription.id, delivery.id)
+    .catch(err => logger.error(`Webhook delivery ${delivery.id} failed:`, err));
+
+  return delivery;
+}
+
+/**
+ * Send an event to every active subscription that wants it
+ * Subscriptions only get events of sessions their tenant owns.
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {string} sessionId - Session the event belongs to
+ * @param {Object} data - Event data
+ */
+function dispatchEvent(event, sessionId, data) {
+  for (const subscription of webhookStore.data.subscriptions) {
+    const wantsEvent = subscription.events.includes('*') || subscription.events.includes(event);
+    const wantsSession = !subscription.sessionIds || subscription.sessionIds.includes(sessionId);
+    const owner = { id: subscription.tenantId, admin: subscription.admin };
+
+    if (subscription.active && wantsEvent && wantsSession && canAccess(owner, 'sessions', sessionId)) {
+      enqueueDelivery(subscription, event, sessionId, data);
+    }
+  }
+}
+
+/**
+ * Send a 'webhook.test' event to one subscription (ignores its event filter)
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Delivery record (pending - check the delivery log for the result)
+ */
+function sendTestEvent(subscriptionId, tenant) {
+  const subscription = findSubscription(subscriptionId, tenant);
+  return enqueueDelivery(subscription, 'webhook.test', null, { message: 'Test delivery' });
+}
+
+/**
+ * Get the delivery log of a subscription, newest first
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @param {Object} filters - { status: 'pending'|'delivered'|'failed', limit } (optional)
+ * @returns {Array<Object>} - Delivery records
+ */
+function getDeliveries(subscriptionId, tenant, { status, limit = 50 } = {}) {
+  const subscription = findSubscription(subscriptionId, tenant);
+
+  return getDeliveryStore(subscription.id).data.deliveries
+    .filter(delivery => !status || delivery.status === status)
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Send a delivery again with a fresh attempt count (e.g. after fixing the receiver)
+ * @param {string} subscriptionId - Subscription identifier
+ * @param {string} deliveryId - Delivery identifier
+ * @param {Object} tenant - Caller ({ id, admin })
+ * @returns {Object} - Delivery record
+ */
+function redeliver(subscriptionId, deliveryId, tenant) {
+  const subscription = findSubscription(subscriptionId, tenant);
+  const store = getDeliveryStore(subscription.id);
+  const delivery = store.data.deliveries.find(item => item.id === deliveryId);
+
+  if (!delivery) {
+    throw createError(404, 'Delivery not found');
+  }
+
+  delivery.status = 'pending';
+  delivery.attempts = [];
+  delete delivery.error;
+  delivery.nextAttemptAt = new Date().toISOString();
+  store.saveSoon();
+
+  clearTimeout(retryTimers.get(delivery.id));
+  retryTimers.delete(delivery.id);
+  attemptDelivery(subscription.id, delivery.id)
+    .catch(err => logger.error(`Webhook delivery ${delivery.id} failed:`, err));
+
+  return delivery;
+}
+
+/**
+ * Re-arm retries of deliveries that were still pending when the server stopped
+ */
+function startWebhooks() {
+  let pending = 0;
+
+  for (const subscription of webhookStore.data.subscriptions) {
+    const store = getDeliveryStore(subscription.id);
+    trimDeliveryLog(store);
+
+    for (const delivery of store.data.deliveries) {
+      if (delivery.status === 'pending') {
+        scheduleAttempt(subscription.id, delivery);
+        pending++;
+      }
+    }
+  }
+
+  logger.info(`🪝 Webhooks started (${webhookStore.data.subscriptions.length} subscription(s), ${pending} pending deliveries)`);
+}
+
+// Session lifecycle → webhook events
+sessionEvents.on('open', ({ sessionId, phoneNumber }) => {
+  dispatchEvent('session.connected', sessionId, { phoneNumber });
+});
+
+sessionEvents.on('disconnect', ({ sessionId, statusCode, reason, at, willReconnect, nextRetryAt }) => {
+  // Logouts (401) are reported once the session status becomes 'disconnected'
+  if (statusCode === 401) {
+    return;
+  }
+
+  const event = statusCode === BANNED_STATUS_CODE ? 'session.banned' : 'session.disconnected';
+  dispatchEvent(event, sessionId, { statusCode, reason, at, willReconnect, nextRetryAt });
+});
+
+sessionEvents.on('reconnect_scheduled', ({ sessionId, attempt, maxAttempts, delayMs, nextRetryAt }) => {
+  dispatchEvent('session.reconnecting', sessionId, { attempt, maxAttempts, delayMs, nextRetryAt });
+});
+
+sessionEvents.on('status', ({ sessionId, status, session }) => {
+  const details = { phoneNumber: session?.phoneNumber || null, lastDisconnect: session?.lastDisconnect || null };
+
+  if (status === 'disconnected') {
+    dispatchEvent('session.logged_out', sessionId, details);
+  } else if (status === 'failed') {
+    dispatchEvent('session.failed', sessionId, details);
+  } else if (status === 'suspended') {
+    dispatchEvent('session.suspended', sessionId, details);
+  }
+});
+
+// Message send results
+sessionEvents.on('message_sent', ({ sessionId, ...data }) => {
+  dispatchEvent('message.sent', sessionId, data);
+});
+
+sessionEvents.on('message_failed', ({ sessionId, ...data }) => {
+  dispatchEvent('message.failed', sessionId, data);
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  redeliver,
+  sendTestEvent,
+  startWebhooks
+};
@@ -1,17 +1,24 @@
 const {
   makeWASocket,
-  useMultiFileAuthState,
   DisconnectReason,
   fetchLatestBaileysVersion,
-  makeCacheableSignalKeyStore
+  makeCacheableSignalKeyStore,
+  generateMessageIDV2
 } = require('@whiskeysockets/baileys');
 
 const qrcode = require('qrcode-terminal');
 const pino = require('pino');
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto'); // Explicitly require crypto module
 const logger = require('../utils/logger');
+const sessionEvents = require('../utils/sessionEvents');
+const { DEFAULT_RECONNECT_POLICY } = require('../config/reconnect');
+const { getAuthStateStore } = require('../utils/authStateStore');
+const { recordInboundMessages } = require('./inboxService');
+const {
+  trackOutgoingMessage,
+  handleMessageUpdates,
+  handleMessageReceipts
+} = require('./messageStatusService');
 
 // CRITICAL FIX: Ensure crypto is available globally and in all contexts
 // This fixes "crypto is not defined" errors in Baileys
@@ -54,11 +61,182 @@ console.log('[BAILEYS] WebCrypto available:', typeof crypto.webcrypto !== 'undef
 
 const activeSessions = new Map();
 
+// Cache of "is this number on WhatsApp" lookups, keyed by digits
+const NUMBER_CHECK_CACHE_TTL_MS = parseInt(process.env.NUMBER_CHECK_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+const NUMBER_CHECK_CACHE_MAX = 10000;
+const numberCheckCache = new Map();
+
+// Pairing codes are treated like QR codes: valid for 3 minutes
+const PAIRING_CODE_TTL_MS = 180000;
+
+// New pairing codes requested in a row while none gets entered - WhatsApp rate-limits
+// pairing requests and may flag the number, so the session fails after this many
+const PAIRING_CODE_MAX_REQUESTS = 3;
+
+// Reconnect policy and attempt counter per session - kept outside sessionData
+// because every reconnect creates a new sessionData object
+const reconnectStates = new Map();
+
+/**
+ * Build the public view of a session used in status events
+ * @param {string} sessionId - Session identifier
+ * @param {Object} sessionData - Session data
+ * @returns {Object} - Session snapshot
+ */
+function buildSessionSnapshot(sessionId, sessionData) {
+  return {
+    sessionId,
+    status: sessionData.status,
+    isConnected: sessionData.isConnected,
+    phoneNumber: sessionData.phoneNumber,
+    qrCode: sessionData.qrCode,
+    qrGeneratedAt: sessionData.qrGeneratedAt ? new Date(sessionData.qrGeneratedAt).toISOString() : null,
+    pairingCode: sessionData.pairingCode || null,
+    pairingPhoneNumber: sessionData.pairingPhoneNumber || null,
+    lastDisconnect: sessionData.lastDisconnect || null
+  };
+}
+
+/**
+ * Emit a 'status' event on sessionEvents if the status changed since the last one
+ * @param {string} sessionId - Session identifier
+ * @param {Object} sessionData - Session data
+ */
+function publishSessionStatus(sessionId, sessionData) {
+  if (sessionData.publishedStatus === sessionData.status) {
+    return;
+  }
+
+  const previousStatus = sessionData.publishedStatus || null;
+  sessionData.publishedStatus = sessionData.status;
+
+  sessionEvents.emit('status', {
+    sessionId,
+    status: sessionData.status,
+    previousStatus,
+    session: buildSessionSnapshot(sessionId, sessionData)
+  });
+}
+
+/**
+ * Helper function to create a fresh reconnect state with the default policy
+ * @returns {Object} - { policy, attempts, nextRetryAt, lastStatusCode }
+ */
+function createReconnectState() {
+  return {
+    policy: { ...DEFAULT_RECONNECT_POLICY },
+    attempts: 0,
+    nextRetryAt: null,
+    lastStatusCode: null
+  };
+}
+
+/**
+ * Get (or create with the default policy) the reconnect state of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - { policy, attempts, nextRetryAt, lastStatusCode }
+ */
+function getReconnectState(sessionId) {
+  if (!reconnectStates.has(sessionId)) {
+    reconnectStates.set(sessionId, createReconnectState());
+  }
+  return reconnectStates.get(sessionId);
+}
+
+/**
+ * Set the reconnect policy of a session and reset its attempt counter
+ * Called on every manual connect; the policy is kept until the session logs out.
+ * @param {string} sessionId - Session identifier
+ * @param {Object|null} policy - Complete policy (see parseReconnectPolicy) or null to keep the current one
+ * @returns {Object} - Reconnect state
+ */
+function configureReconnect(sessionId, policy = null) {
+  const reconnect = getReconnectState(sessionId);
+  
+  if (policy) {
+    reconnect.policy = policy;
+  }
+  reconnect.attempts = 0;
+  reconnect.nextRetryAt = null;
+  
+  return reconnect;
+}
+
+/**
+ * Schedule the next reconnect attempt with exponential backoff and jitter
+ * @param {string} sessionId - Session identifier
+ * @param {Object} sessionData - Session data
+ * @param {Object} options - Passed to initializeWhatsApp (e.g. pairingPhoneNumber)
+ * @returns {boolean} - False if the policy has run out of attempts (session is marked failed)
+ */
+function scheduleReconnect(sessionId, sessionData, options = {}) {
+  const reconnect = getReconnectState(sessionId);
+  const { policy } = reconnect;
+  
+  if (sessionData.reconnectTimer) {
+    return true;
+  }
+  
+  if (policy.maxAttempts > 0 && reconnect.attempts >= policy.maxAttempts) {
+    reconnect.nextRetryAt = null;
+    sessionData.status = 'failed';
+    logger.error(`❌ Session ${sessionId} failed after ${reconnect.attempts} reconnect attempts`);
+    return false;
+  }
+  
+  reconnect.attempts++;
+  
+  const delay = Math.min(policy.baseDelayMs * 2 ** (reconnect.attempts - 1), policy.maxDelayMs);
+  const spread = delay * policy.jitter;
+  const jitteredDelay = Math.round(delay - spread + Math.random() * 2 * spread);
+  
+  reconnect.nextRetryAt = new Date(Date.now() + jitteredDelay).toISOString();
+  sessionData.status = 'reconnecting';
+  
+  logger.warn(`🔄 Reconnecting session ${sessionId} in ${Math.round(jitteredDelay / 1000)}s ` +
+    `(attempt ${reconnect.attempts}${policy.maxAttempts > 0 ? `/${policy.maxAttempts}` : ''})`);
+  
+  // Next tick, so listeners see it after the 'disconnect' event of the close that caused it
+  const scheduled = {
+    sessionId,
+    attempt: reconnect.attempts,
+    maxAttempts: policy.maxAttempts,
+    delayMs: jitteredDelay,
+    nextRetryAt: reconnect.nextRetryAt
+  };
+  process.nextTick(() => sessionEvents.emit('reconnect_scheduled', scheduled));
+  
+  sessionData.reconnectTimer = setTimeout(() => {
+    sessionData.reconnectTimer = null;
+    reconnect.nextRetryAt = null;
+    
+    initializeWhatsApp(sessionId, options).catch(err => {
+      logger.error(`Failed to reconnect session ${sessionId}`, err);
+      
+      // The failed attempt removed the session - keep it visible while we retry (e.g. network down)
+      if (!activeSessions.has(sessionId)) {
+        activeSessions.set(sessionId, sessionData);
+      }
+      scheduleReconnect(sessionId, sessionData, options);
+      publishSessionStatus(sessionId, sessionData);
+    });
+  }, jitteredDelay);
+  
+  return true;
+}
+
 /**
  * Initialize WhatsApp connection for a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - Options (optional)
+ * @param {string} options.pairingPhoneNumber - Link with a pairing code for this number instead of a QR code
  */
-async function initializeWhatsApp(sessionId) {
+async function initializeWhatsApp(sessionId, options = {}) {
   try {
+    const pairingPhoneNumber = options.pairingPhoneNumber
+      ? String(options.pairingPhoneNumber).replace(/\D/g, '')
+      : null;
+
     // Check if session already exists
     if (activeSessions.has(sessionId)) {
       const existingSession = activeSessions.get(sessionId);
@@ -67,9 +245,22 @@ async function initializeWhatsApp(sessionId) {
         return existingSession;
       }
       
+      // Same for a pairing code that is still waiting to be entered for the same number
+      if (existingSession.pairingCode && !existingSession.pairingCodeEntered &&
+          existingSession.pairingPhoneNumber === pairingPhoneNumber) {
+        const codeAge = Date.now() - new Date(existingSession.pairingCodeGeneratedAt).getTime();
+        
+        if (codeAge <= PAIRING_CODE_TTL_MS) {
+          console.log(`[BAILEYS] ⏸️ Session has valid pairing code (${Math.round(codeAge/1000)}s old) - NOT reinitializing`);
+          return existingSession;
+        }
+        console.log(`[BAILEYS] ⚠️ Pairing code expired (${Math.round(codeAge/1000)}s old) - will reinitialize`);
+      }
+      
       // CRITICAL: If session has a valid QR code that hasn't been scanned, DON'T delete it!
       // BUT: If QR was scanned, we MUST reconnect to complete authentication
-      if (existingSession.qrCode && existingSession.qrGeneratedAt && !existingSession.qrScanned) {
+      // A pairing code request replaces a pending QR code
+      if (existingSession.qrCode && existingSession.qrGeneratedAt && !existingSession.qrScanned && !pairingPhoneNumber) {
         const qrAge = Date.now() - new Date(existingSession.qrGeneratedAt).getTime();
         const isExpired = qrAge > 180000; // 3 minutes
         
@@ -87,6 +278,10 @@ async function initializeWhatsApp(sessionId) {
       }
       
       // If session exists but not connected and no valid QR, clean it up first
+      // (the old socket's close event must not touch the new session)
+      existingSession.isDiscarded = true;
+      clearTimeout(existingSession.reconnectTimer);
+      existingSession.reconnectTimer = null;
       if (existingSession.socket) {
         try {
           existingSession.socket.end();
@@ -99,23 +294,22 @@ async function initializeWhatsApp(sessionId) {
 
     // TASK 1: Check if we should delete credentials
     // DON'T delete if we're reconnecting after QR scan (credentials are valid)
-    const sessionPath = path.join(__dirname, '../../auth_sessions', sessionId);
+    const authStore = getAuthStateStore();
     
     console.log('[BAILEYS] 🗑️ Checking for old credentials...');
-    console.log('[BAILEYS] Session path:', sessionPath);
+    console.log(`[BAILEYS] Auth store: ${authStore.name} - ${authStore.describe(sessionId)}`);
     
     // Check if credentials exist and are valid (reconnecting after QR scan)
-    const hasValidCredentials = fs.existsSync(sessionPath) && 
-                                 fs.existsSync(path.join(sessionPath, 'creds.json'));
+    const hasValidCredentials = !!(await authStore.readCreds(sessionId));
     
     if (hasValidCredentials) {
       console.log('[BAILEYS] ✅ Found existing credentials - will use them (reconnecting after QR scan)');
       // Don't delete - these are valid credentials from QR scan
-    } else if (fs.existsSync(sessionPath)) {
+    } else if (await authStore.hasSession(sessionId)) {
       // Old/invalid credentials - delete to force fresh QR
       console.log('[BAILEYS] ⚠️ Found old/invalid credentials - DELETING to force fresh QR');
       try {
-        fs.rmSync(sessionPath, { recursive: true, force: true });
+        await authStore.removeSession(sessionId);
         console.log('[BAILEYS] ✅ Old credentials deleted successfully');
       } catch (deleteError) {
         console.error('[BAILEYS] ❌ Error deleting old credentials:', deleteError);
@@ -124,14 +318,8 @@ async function initializeWhatsApp(sessionId) {
     } else {
       console.log('[BAILEYS] ✅ No old credentials found - clean start');
     }
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(sessionPath)) {
-      fs.mkdirSync(sessionPath, { recursive: true });
-      console.log('[BAILEYS] 📁 Created auth_sessions directory');
-    }
 
-    const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
+    const { state, saveCreds } = await authStore.useAuthState(sessionId);
     const { version } = await fetchLatestBaileysVersion();
     
     const pinoLogger = pino({ level: 'silent' });
@@ -145,8 +333,15 @@ async function initializeWhatsApp(sessionId) {
       qrCode: null,
       qrGeneratedAt: null,
       qrScanned: false,  // Track if QR code has been scanned
+      pairingPhoneNumber,  // Set when linking with a pairing code instead of a QR code
+      pairingCode: null,
+      pairingCodeGeneratedAt: null,
+      pairingCodeEntered: false,  // Track if the pairing code has been entered on the phone
+      pairingError: null,
+      lastDisconnect: null,  // { statusCode, reason, at } of the last closed connection
+      publishedStatus: null,  // Last status sent as a 'status' event
       phoneNumber: null,
-      status: 'connecting',  // connecting | qr_pending | connected | disconnected
+      status: 'connecting',  // connecting | qr_pending | pairing_code_pending | pairing_authenticating | connected | disconnected
       reconnectTimer: null
     };
 
@@ -187,7 +382,7 @@ async function initializeWhatsApp(sessionId) {
           creds: state.creds,
           keys: makeCacheableSignalKeyStore(state.keys, pinoLogger)
         },
-        printQRInTerminal: true,  // Keep this for terminal display
+        printQRInTerminal: !pairingPhoneNumber,  // Keep this for terminal display (not needed with a pairing code)
         browser: ['WhatsApp Messenger', 'Chrome', '1.0.0'],
         syncFullHistory: false,
         getMessage: async () => undefined,
@@ -230,9 +425,40 @@ async function initializeWhatsApp(sessionId) {
         });
         
         const { connection, lastDisconnect, qr } = update;
+        
+        // This socket was replaced by a newer one (or closed by a disconnect) - ignore it
+        if (sessionData.isDiscarded) {
+          return;
+        }
+
+      // PAIRING CODE - Baileys still emits QR codes, but we ask for a code once the socket is ready
+      if (qr && sessionData.pairingPhoneNumber) {
+        if (!sessionData.pairingCode && !state.creds.registered) {
+          console.log('[BAILEYS] 🔢 Requesting pairing code for', sessionData.pairingPhoneNumber);
+          
+          try {
+            sessionData.pairingCode = await socket.requestPairingCode(sessionData.pairingPhoneNumber);
+            sessionData.pairingCodeGeneratedAt = new Date();
+            sessionData.status = 'pairing_code_pending';
+            
+            logger.info(`✅ Pairing code generated for session: ${sessionId}`);
+            logger.info(`Pairing code available at GET /api/whatsapp/pairing-code/${sessionId}`);
+            
+            sessionEvents.emit('pairing_code', {
+              sessionId,
+              pairingCode: sessionData.pairingCode,
+              session: buildSessionSnapshot(sessionId, sessionData)
+            });
+          } catch (pairingError) {
+            sessionData.status = 'failed';
+            sessionData.pairingError = pairingError.message;
+            logger.error(`Failed to request pairing code for session ${sessionId}:`, pairingError.message);
+          }
+        }
+      }
 
       // QR CODE GENERATION - This is the critical part!
-      if (qr) {
+      if (qr && !sessionData.pairingPhoneNumber) {
         console.log('[BAILEYS] 🎯 QR CODE DETECTED!');
         console.log('[BAILEYS] QR string length:', qr.length);
         console.log('[BAILEYS] QR preview (first 50 chars):', qr.substring(0, 50));
@@ -251,6 +477,12 @@ async function initializeWhatsApp(sessionId) {
         logger.info(`✅ QR Code generated for session: ${sessionId}`);
         logger.info(`QR Code string length: ${qr.length}`);
         logger.info(`QR Code available at GET /api/whatsapp/qr/${sessionId}`);
+        
+        sessionEvents.emit('qr', {
+          sessionId,
+          qrCode: qr,
+          session: buildSessionSnapshot(sessionId, sessionData)
+        });
       }
 
       // Connection opened
@@ -261,13 +493,21 @@ async function initializeWhatsApp(sessionId) {
           sessionData.reconnectTimer = null;
         }
         
+        // Connected again - the next disconnect starts a fresh backoff
+        const reconnect = getReconnectState(sessionId);
+        reconnect.attempts = 0;
+        reconnect.nextRetryAt = null;
+        
         sessionData.isConnected = true;
         sessionData.status = 'connected';
         sessionData.qrCode = null; // Clear QR code once connected
+        sessionData.pairingCode = null;
         sessionData.phoneNumber = socket.user?.id?.split(':')[0] || null;
         
         logger.info(`✅ WhatsApp connected successfully for session: ${sessionId}`);
         logger.info(`📱 Phone number: ${sessionData.phoneNumber}`);
+        
+        sessionEvents.emit('open', { sessionId, phoneNumber: sessionData.phoneNumber });
       }
 
       // Connection closed
@@ -307,6 +547,11 @@ async function initializeWhatsApp(sessionId) {
         console.log('[BAILEYS] Full lastDisconnect:', JSON.stringify(lastDisconnect, null, 2));
         
         sessionData.isConnected = false;
+        sessionData.lastDisconnect = {
+          statusCode: statusCode || null,
+          reason: errorMessage || null,
+          at: new Date().toISOString()
+        };
         
         if (statusCode === DisconnectReason.loggedOut) {
           sessionData.status = 'disconnected';
@@ -318,24 +563,25 @@ async function initializeWhatsApp(sessionId) {
           }
           
           activeSessions.delete(sessionId);
+          reconnectStates.delete(sessionId);
           
-          // Clean up session files
-          if (fs.existsSync(sessionPath)) {
-            fs.rmSync(sessionPath, { recursive: true, force: true });
-          }
+          // Clean up saved credentials
+          await authStore.removeSession(sessionId);
           
           logger.warn(`❌ Session ${sessionId} logged out. Credentials cleared.`);
         } else {
           // Handle different error codes
-          // Status 515 = "Stream Errored (restart required)" - This is recoverable!
-          // Status 428 = "Precondition Required" - Usually means connection closed, can retry
-          // Status 503 = "Restart Required" - Normal after QR scan, recoverable
-          // Other codes might be fatal
+          // Status 515 = "Stream Errored (restart required)" - Always recoverable, normal after QR scan
+          // Other codes are retried if they are in the session's reconnect policy
+          // (default: 408, 428, 500, 503, 515 - see config/reconnect.js)
+          const reconnect = getReconnectState(sessionId);
+          reconnect.lastStatusCode = statusCode || null;
           
-          if (statusCode === 515 || statusCode === 428 || statusCode === DisconnectReason.restartRequired) {
+          if (statusCode === DisconnectReason.restartRequired || reconnect.policy.retryableStatusCodes.includes(statusCode)) {
             const errorName = statusCode === 515 ? 'Stream Error' : 
                               statusCode === 428 ? 'Precondition Required' : 
-                              statusCode === DisconnectReason.restartRequired ? 'Restart Required' : 
+                              statusCode === 408 ? 'Timed Out' : 
+                              statusCode === 500 ? 'Bad Session' : 
                               'Unknown';
             console.log(`[BAILEYS] ⚠️ Recoverable error (${statusCode} - ${errorName}) detected`);
             
@@ -344,14 +590,16 @@ async function initializeWhatsApp(sessionId) {
             // 2. If QR exists but NOT scanned, keep it and wait for user to scan
             // 3. If no QR, safe to reconnect
             
-            if (sessionData.qrScanned) {
-              // QR was scanned! Reconnect to complete authentication
-              console.log('[BAILEYS] 🎉 QR code was scanned - reconnecting to complete authentication...');
+            if (sessionData.qrScanned || sessionData.pairingCodeEntered) {
+              // QR was scanned (or pairing code entered)! Reconnect to complete authentication
+              console.log('[BAILEYS] 🎉 Device linked - reconnecting to complete authentication...');
               sessionData.status = 'reconnecting';
               
-              // Clear QR code since it's been used
+              // Clear QR/pairing code since it's been used
               sessionData.qrCode = null;
               sessionData.qrScanned = false;
+              sessionData.pairingCode = null;
+              sessionData.pairingCodeEntered = false;
               
               if (!sessionData.reconnectTimer) {
                 console.log(`[BAILEYS] 🔄 Reconnecting in 2 seconds to complete authentication...`);
@@ -361,9 +609,24 @@ async function initializeWhatsApp(sessionId) {
                   initializeWhatsApp(sessionId).catch(err => {
                     logger.error(`Failed to reconnect session ${sessionId} after QR scan`, err);
                     sessionData.status = 'failed';
+                    publishSessionStatus(sessionId, sessionData);
                   });
                 }, 2000);
               }
+            } else if (sessionData.pairingPhoneNumber && !state.creds.registered) {
+              // Pairing code not entered yet - it belongs to the closed socket, so ask for a fresh one
+              // with the backoff and attempt limit of the reconnect policy (attempts reset on open)
+              sessionData.pairingCode = null;
+              
+              if (reconnect.attempts >= PAIRING_CODE_MAX_REQUESTS ||
+                  !scheduleReconnect(sessionId, sessionData, { pairingPhoneNumber: sessionData.pairingPhoneNumber })) {
+                reconnect.nextRetryAt = null;
+                sessionData.status = 'failed';
+                sessionData.pairingError = 'Pairing code was not entered. Request a new one with POST /connect/:sessionId/pairing-code';
+                logger.error(`❌ Session ${sessionId} failed: pairing code not entered after ${reconnect.attempts} new codes`);
+              } else {
+                console.log('[BAILEYS] 🔢 Pairing code not entered yet - reconnecting for a new code');
+              }
             } else if (sessionData.qrCode) {
               // QR exists but NOT scanned yet - keep it for user to scan
               console.log('[BAILEYS] ✅ QR code exists - KEEPING IT for user to scan');
@@ -386,6 +649,7 @@ async function initializeWhatsApp(sessionId) {
                       initializeWhatsApp(sessionId).catch(err => {
                         logger.error(`Failed to reconnect session ${sessionId}`, err);
                         sessionData.status = 'failed';
+                        publishSessionStatus(sessionId, sessionData);
                       });
                     }, 2000);
                   }
@@ -395,32 +659,31 @@ async function initializeWhatsApp(sessionId) {
                 }
               }
             } else {
-              // No QR code - safe to reconnect
+              // No QR code - safe to reconnect, with backoff from the reconnect policy
               console.log('[BAILEYS] ⚠️ No QR code - will attempt reconnect');
-              sessionData.status = 'reconnecting';
-              
-              if (!sessionData.reconnectTimer) {
-                console.log(`[BAILEYS] 🔄 Will attempt reconnect in 3 seconds...`);
-                
-                sessionData.reconnectTimer = setTimeout(() => {
-                  sessionData.reconnectTimer = null;
-                  console.log(`[BAILEYS] 🔄 Attempting to reconnect session ${sessionId}...`);
-                  initializeWhatsApp(sessionId).catch(err => {
-                    logger.error(`Failed to reconnect session ${sessionId}`, err);
-                    sessionData.status = 'failed';
-                  });
-                }, 3000);
-              }
+              scheduleReconnect(sessionId, sessionData);
             }
           } else {
             // For other errors, mark as failed but keep QR code if it exists
+            reconnect.nextRetryAt = null;
             sessionData.status = 'failed';
             console.log(`[BAILEYS] ⛔ Connection failed with status ${statusCode}`);
             console.log('[BAILEYS] QR code will remain available if it exists');
             logger.error(`Connection failed for session ${sessionId} with status ${statusCode}`);
           }
         }
+        
+        sessionEvents.emit('disconnect', {
+          sessionId,
+          ...sessionData.lastDisconnect,
+          willReconnect: sessionData.status === 'reconnecting',
+          nextRetryAt: getReconnectState(sessionId).nextRetryAt,
+          session: buildSessionSnapshot(sessionId, sessionData)
+        });
       }
+      
+      // Push status changes (connecting → qr_pending → ...) to listeners
+      publishSessionStatus(sessionId, sessionData);
       } catch (eventError) {
         console.error('[BAILEYS] ❌ ERROR in connection.update handler:', eventError);
         console.error('[BAILEYS] Error name:', eventError.name);
@@ -431,10 +694,17 @@ async function initializeWhatsApp(sessionId) {
     });
 
     // Credentials update event - This fires when QR code is scanned!
-    socket.ev.on('creds.update', async () => {
+    socket.ev.on('creds.update', async (update) => {
       await saveCreds();
       logger.debug(`Credentials updated for session: ${sessionId}`);
       
+      // "registered" is only set once the pairing code has been entered on the phone
+      if (sessionData.pairingCode && update?.registered) {
+        console.log('[BAILEYS] 🎉 PAIRING CODE ENTERED! Credentials saved.');
+        sessionData.pairingCodeEntered = true;
+        sessionData.status = 'pairing_authenticating';
+      }
+      
       // If QR code exists, this means it was just scanned!
       if (sessionData.qrCode) {
         console.log('[BAILEYS] 🎉 QR CODE SCANNED! Credentials saved.');
@@ -442,10 +712,42 @@ async function initializeWhatsApp(sessionId) {
         sessionData.status = 'authenticating';  // New status: scanning completed, waiting for connection
         console.log('[BAILEYS] ✅ Marked as QR scanned - will allow reconnect to complete authentication');
       }
+      
+      publishSessionStatus(sessionId, sessionData);
+    });
+
+    // Incoming messages - store replies so they can be read via the inbox API
+    socket.ev.on('messages.upsert', ({ messages, type }) => {
+      try {
+        // 'notify' = new messages, 'append' = messages received while offline
+        if (type === 'notify' || type === 'append') {
+          recordInboundMessages(sessionId, messages);
+        }
+      } catch (err) {
+        logger.error(`Error storing inbound messages for session ${sessionId}:`, err);
+      }
+    });
+
+    // Delivery/read status of our own messages
+    socket.ev.on('messages.update', (updates) => {
+      try {
+        handleMessageUpdates(sessionId, updates);
+      } catch (err) {
+        logger.error(`Error tracking message status for session ${sessionId}:`, err);
+      }
+    });
+
+    socket.ev.on('message-receipt.update', (receipts) => {
+      try {
+        handleMessageReceipts(sessionId, receipts);
+      } catch (err) {
+        logger.error(`Error tracking message receipts for session ${sessionId}:`, err);
+      }
     });
 
     // Store in active sessions IMMEDIATELY so it's available for QR polling
     activeSessions.set(sessionId, sessionData);
+    publishSessionStatus(sessionId, sessionData);
     
     // ADD THESE VERIFICATION LOGS:
     console.log('[BAILEYS] 📦 Session stored in activeSessions');
@@ -463,40 +765,260 @@ async function initializeWhatsApp(sessionId) {
   }
 }
 
+/**
+ * Build Baileys message content for a text or media message
+ * @param {string} message - Text message, or caption when media is attached
+ * @param {Object|null} media - Normalized media (see resolveMedia in validation middleware)
+ * @returns {Object} - Content object for socket.sendMessage
+ */
+function buildMessageContent(message, media) {
+  if (!media) {
+    return { text: message };
+  }
+
+  // Baileys accepts either a Buffer or { url } pointing at a local file
+  const source = media.buffer ? media.buffer : { url: media.path };
+  const caption = message || undefined;
+
+  switch (media.type) {
+    case 'image':
+      return { image: source, mimetype: media.mimetype, caption };
+    case 'video':
+      return { video: source, mimetype: media.mimetype, caption };
+    case 'audio':
+      return { audio: source, mimetype: media.mimetype, ptt: !!media.ptt };
+    case 'document':
+      return {
+        document: source,
+        mimetype: media.mimetype,
+        fileName: media.fileName || 'document',
+        caption
+      };
+    default:
+      throw new Error(`Unsupported media type: ${media.type}`);
+  }
+}
+
+/**
+ * Get a session that is connected and ready to use
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - Session data
+ * @throws {Error} - code SESSION_NOT_FOUND or SESSION_NOT_CONNECTED
+ */
+function getConnectedSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+
+  if (!session) {
+    const notFoundError = new Error(`Session ${sessionId} not found. Please initialize first.`);
+    notFoundError.code = 'SESSION_NOT_FOUND';
+    notFoundError.statusCode = 404;
+    throw notFoundError;
+  }
+
+  if (!session.isConnected) {
+    const notConnectedError = new Error('WhatsApp not connected. Please scan QR code first.');
+    notConnectedError.code = 'SESSION_NOT_CONNECTED';
+    notConnectedError.statusCode = 409;
+    throw notConnectedError;
+  }
+
+  return session;
+}
+
+/**
+ * Convert a recipient (phone number, user JID or group JID) to a JID
+ * @param {string} recipient - Phone number or JID
+ * @returns {string} - JID
+ */
+function toJid(recipient) {
+  if (recipient.endsWith('@g.us') || recipient.endsWith('@s.whatsapp.net')) {
+    return recipient;
+  }
+  return `${recipient.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+/**
+ * Check whether phone numbers are registered on WhatsApp
+ * Results are cached for NUMBER_CHECK_CACHE_TTL_MS (default 24 hours).
+ * @param {string} sessionId - Session identifier used for the lookup
+ * @param {Array<string>} phoneNumbers - Phone numbers to check
+ * @returns {Promise<Array<Object>>} - [{ phoneNumber, exists, jid, cached, checkedAt }]
+ */
+async function checkNumbers(sessionId, phoneNumbers) {
+  const session = getConnectedSession(sessionId);
+
+  return Promise.all(phoneNumbers.map(async (phoneNumber) => {
+    const digitsOnly = phoneNumber.replace(/\D/g, '');
+    const cached = numberCheckCache.get(digitsOnly);
+
+    if (cached && Date.now() - cached.checkedAt < NUMBER_CHECK_CACHE_TTL_MS) {
+      return {
+        phoneNumber,
+        exists: cached.exists,
+        jid: cached.jid,
+        cached: true,
+        checkedAt: new Date(cached.checkedAt).toISOString()
+      };
+    }
+
+    const [result] = await session.socket.onWhatsApp(`${digitsOnly}@s.whatsapp.net`);
+    const entry = {
+      exists: !!result?.exists,
+      jid: result?.exists ? result.jid : null,
+      checkedAt: Date.now()
+    };
+
+    // Keep the cache bounded - Map keeps insertion order, so the first key is the oldest
+    numberCheckCache.delete(digitsOnly);
+    numberCheckCache.set(digitsOnly, entry);
+    if (numberCheckCache.size > NUMBER_CHECK_CACHE_MAX) {
+      numberCheckCache.delete(numberCheckCache.keys().next().value);
+    }
+
+    return {
+      phoneNumber,
+      exists: entry.exists,
+      jid: entry.jid,
+      cached: false,
+      checkedAt: new Date(entry.checkedAt).toISOString()
+    };
+  }));
+}
+
 /**
  * Send WhatsApp message
+ * @param {string} sessionId - Session identifier
+ * @param {string} recipient - Recipient phone number or group JID (...@g.us)
+ * @param {string} message - Text message (or caption for image/video/document)
+ * @param {Object} options - Send options (optional)
+ * @param {Object} options.media - Normalized media to attach (optional)
+ * @param {boolean} options.verifyNumber - Check the number is on WhatsApp first (optional)
  */
-async function sendWhatsAppMessage(sessionId, phoneNumber, message) {
+async function sendWhatsAppMessage(sessionId, recipient, message, options = {}) {
+  let messageId = null;
+  let jid = null;
+
   try {
-    const session = activeSessions.get(sessionId);
+    const session = getConnectedSession(sessionId);
+    const media = options.media || null;
+    jid = toJid(recipient);
 
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found. Please initialize first.`);
-    }
+    // Pick the message ID ourselves, so a send that throws is still tracked (as failed) under it
+    messageId = generateMessageIDV2(session.socket.user?.id);
+
+    // Fail fast instead of sending into the void
+    if (options.verifyNumber && !jid.endsWith('@g.us')) {
+      const [check] = await checkNumbers(sessionId, [recipient]);
+
+      if (!check.exists) {
+        const notRegisteredError = new Error(`${recipient} is not registered on WhatsApp`);
+        notRegisteredError.code = 'NOT_ON_WHATSAPP';
+        notRegisteredError.statusCode = 422;
+        throw notRegisteredError;
+      }
 
-    if (!session.isConnected) {
-      throw new Error('WhatsApp not connected. Please scan QR code first.');
+      jid = check.jid;
     }
 
-    const digitsOnly = phoneNumber.replace(/\D/g, '');
-    const jid = `${digitsOnly}@s.whatsapp.net`;
+    const result = await session.socket.sendMessage(jid, buildMessageContent(message, media), { messageId });
 
-    const result = await session.socket.sendMessage(jid, { text: message });
+    logger.info(`✅ ${media ? media.type : 'Text'} message sent to ${recipient} from session ${sessionId}`);
 
-    logger.info(`✅ Message sent to ${phoneNumber} from session ${sessionId}`);
+    trackOutgoingMessage(sessionId, {
+      messageId: result.key.id,
+      jid,
+      to: recipient,
+      type: media ? media.type : 'text'
+    });
+
+    sessionEvents.emit('message_sent', {
+      sessionId,
+      messageId: result.key.id,
+      to: recipient,
+      jid,
+      type: media ? media.type : 'text'
+    });
 
     return {
       success: true,
       messageId: result.key.id,
-      to: phoneNumber,
-      jid: jid
+      to: recipient,
+      jid: jid,
+      type: media ? media.type : 'text',
+      status: 'sent'
     };
   } catch (error) {
     logger.error(`Error sending message:`, error);
+
+    // Without a connected session there is nothing to track the message under
+    if (messageId) {
+      trackOutgoingMessage(sessionId, {
+        messageId,
+        jid,
+        to: recipient,
+        type: options.media ? options.media.type : 'text',
+        error: error.message
+      });
+      error.messageId = messageId;
+    }
+
+    sessionEvents.emit('message_failed', {
+      sessionId,
+      messageId,
+      to: recipient,
+      type: options.media ? options.media.type : 'text',
+      error: error.message,
+      code: error.code || null
+    });
+
     throw error;
   }
 }
 
+/**
+ * List the groups a session is a member of
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Array<Object>>} - [{ id, subject, participantCount, ... }] sorted by subject
+ */
+async function listGroups(sessionId) {
+  const session = getConnectedSession(sessionId);
+  const groups = await session.socket.groupFetchAllParticipating();
+  const ownJid = session.socket.user?.id ? toJid(session.socket.user.id.split(':')[0]) : null;
+
+  return Object.values(groups)
+    .map(group => {
+      const me = group.participants.find(participant => participant.id === ownJid);
+      return {
+        id: group.id,
+        subject: group.subject,
+        description: group.desc || null,
+        participantCount: group.participants.length,
+        owner: group.owner || null,
+        createdAt: group.creation ? new Date(group.creation * 1000).toISOString() : null,
+        announce: !!group.announce,
+        isAdmin: !!me?.admin
+      };
+    })
+    .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+}
+
+/**
+ * Send read receipts (blue ticks) for inbound messages
+ * @param {string} sessionId - Session identifier
+ * @param {Array<Object>} keys - Message keys ({ remoteJid, id, participant })
+ * @returns {Promise<boolean>} - True if receipts were sent, false if the session is not connected
+ */
+async function sendReadReceipts(sessionId, keys) {
+  const session = activeSessions.get(sessionId);
+
+  if (!session || !session.isConnected || keys.length === 0) {
+    return false;
+  }
+
+  await session.socket.readMessages(keys);
+  return true;
+}
+
 /**
  * Get QR code for a session
  */
@@ -548,6 +1070,265 @@ function getQRCode(sessionId) {
   return result;
 }
 
+/**
+ * Get the pairing code of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} - Pairing code data or null if the session is unknown
+ */
+function getPairingCode(sessionId) {
+  const session = activeSessions.get(sessionId);
+  
+  if (!session) {
+    return null;
+  }
+  
+  const generatedAt = session.pairingCodeGeneratedAt ? new Date(session.pairingCodeGeneratedAt) : null;
+  const isExpired = !!generatedAt && Date.now() - generatedAt.getTime() > PAIRING_CODE_TTL_MS;
+  
+  return {
+    pairingCode: session.pairingCode && !isExpired ? session.pairingCode : null,
+    pairingPhoneNumber: session.pairingPhoneNumber,
+    status: session.pairingCode && isExpired && !session.pairingCodeEntered ? 'pairing_code_expired' : session.status,
+    isConnected: session.isConnected,
+    phoneNumber: session.phoneNumber,
+    pairingCodeGeneratedAt: generatedAt ? generatedAt.toISOString() : null,
+    expiresAt: generatedAt ? new Date(generatedAt.getTime() + PAIRING_CODE_TTL_MS).toISOString() : null,
+    error: session.pairingError || null
+  };
+}
+
+/**
+ * Start a session that links with a pairing code and wait for the code
+ * The code is entered on the phone under Linked Devices → Link with phone number instead.
+ * @param {string} sessionId - Session identifier
+ * @param {string} phoneNumber - Phone number of the WhatsApp account to link (with country code)
+ * @param {number} timeoutMs - How long to wait for WhatsApp to issue the code
+ * @returns {Promise<Object>} - Pairing code data (see getPairingCode)
+ */
+async function connectWithPairingCode(sessionId, phoneNumber, timeoutMs = 30000) {
+  await initializeWhatsApp(sessionId, { pairingPhoneNumber: phoneNumber });
+  
+  const startedAt = Date.now();
+  
+  while (Date.now() - startedAt < timeoutMs) {
+    const session = activeSessions.get(sessionId);
+    
+    if (!session || session.pairingCode || session.isConnected || session.status === 'failed') {
+      break;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  
+  const pairingData = getPairingCode(sessionId);
+  
+  if (pairingData && pairingData.status === 'failed') {
+    throw new Error(pairingData.error || 'Failed to get a pairing code');
+  }
+  
+  if (!pairingData || (!pairingData.pairingCode && !pairingData.isConnected)) {
+    const timeoutError = new Error('Timed out waiting for a pairing code. Check GET /api/whatsapp/pairing-code/' + sessionId);
+    timeoutError.statusCode = 504;
+    throw timeoutError;
+  }
+  
+  return pairingData;
+}
+
+/**
+ * Helper function to close the socket of a session without logging out
+ * The close event of a discarded socket is ignored, so nothing reconnects.
+ * @param {Object} sessionData - Session data
+ */
+function closeSessionSocket(sessionData) {
+  sessionData.isDiscarded = true;
+  clearTimeout(sessionData.reconnectTimer);
+  sessionData.reconnectTimer = null;
+  sessionData.isConnected = false;
+  
+  if (sessionData.socket) {
+    try {
+      sessionData.socket.end();
+    } catch (e) {
+      // Ignore errors when ending socket
+    }
+  }
+}
+
+/**
+ * Suspend a session: close the socket but keep the saved credentials
+ * The session stays listed with status 'suspended' until it is resumed or logged out.
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - Session snapshot
+ * @throws {Error} - code SESSION_NOT_FOUND
+ */
+function suspendSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  
+  if (!session) {
+    const notFoundError = new Error(`Session ${sessionId} not found`);
+    notFoundError.code = 'SESSION_NOT_FOUND';
+    notFoundError.statusCode = 404;
+    throw notFoundError;
+  }
+  
+  if (session.status !== 'suspended') {
+    closeSessionSocket(session);
+    
+    // Codes belong to the closed socket and can't be used anymore
+    session.qrCode = null;
+    session.qrScanned = false;
+    session.pairingCode = null;
+    
+    const reconnect = getReconnectState(sessionId);
+    reconnect.attempts = 0;
+    reconnect.nextRetryAt = null;
+    
+    session.status = 'suspended';
+    publishSessionStatus(sessionId, session);
+    
+    logger.info(`⏸️ Session ${sessionId} suspended (credentials kept)`);
+  }
+  
+  return buildSessionSnapshot(sessionId, session);
+}
+
+/**
+ * Suspend every active session (graceful shutdown)
+ * @returns {Array<string>} - Suspended session IDs
+ */
+function suspendAllSessions() {
+  const suspended = [];
+  
+  for (const sessionId of activeSessions.keys()) {
+    try {
+      suspendSession(sessionId);
+      suspended.push(sessionId);
+    } catch (error) {
+      logger.error(`Error suspending session ${sessionId}:`, error.message);
+    }
+  }
+  
+  return suspended;
+}
+
+/**
+ * Resume a session from its saved credentials (no QR code or pairing code needed)
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object>} - Session snapshot
+ * @throws {Error} - code NO_SAVED_CREDENTIALS if the session never completed a login
+ */
+async function resumeSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  
+  if (session?.isConnected) {
+    return buildSessionSnapshot(sessionId, session);
+  }
+  
+  const creds = await getAuthStateStore().readCreds(sessionId);
+  
+  if (!creds?.me) {
+    const noCredentialsError = new Error(`No saved credentials for session ${sessionId}. Connect with a QR code or pairing code first.`);
+    noCredentialsError.code = 'NO_SAVED_CREDENTIALS';
+    noCredentialsError.statusCode = 404;
+    throw noCredentialsError;
+  }
+  
+  // A manual resume starts a fresh backoff
+  const reconnect = getReconnectState(sessionId);
+  reconnect.attempts = 0;
+  reconnect.nextRetryAt = null;
+  
+  logger.info(`▶️ Resuming session ${sessionId} from saved credentials`);
+  
+  const sessionData = await initializeWhatsApp(sessionId);
+  return buildSessionSnapshot(sessionId, sessionData);
+}
+
+/**
+ * Log a session out: unlink the device (if connected) and delete the saved credentials
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object>} - { unlinked, credentialsRemoved }
+ * @throws {Error} - code SESSION_NOT_FOUND if there is neither a session nor saved credentials
+ */
+async function logoutSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  const authStore = getAuthStateStore();
+  const hasCredentials = await authStore.hasSession(sessionId);
+  
+  if (!session && !hasCredentials) {
+    // Nothing to unlink, but inbox, queue, ... may still be left from an earlier session
+    sessionEvents.emit('session_removed', { sessionId });
+
+    const notFoundError = new Error(`Session ${sessionId} not found`);
+    notFoundError.code = 'SESSION_NOT_FOUND';
+    notFoundError.statusCode = 404;
+    throw notFoundError;
+  }
+  
+  let unlinked = false;
+  
+  if (session) {
+    const wasConnected = session.isConnected;
+    
+    // Credentials are removed below - the close event must not do it (or reconnect) as well
+    session.isDiscarded = true;
+    
+    if (wasConnected && session.socket) {
+      try {
+        await session.socket.logout();
+        unlinked = true;
+      } catch (err) {
+        logger.warn(`Error logging out session ${sessionId}:`, err.message);
+      }
+    }
+    
+    closeSessionSocket(session);
+    activeSessions.delete(sessionId);
+    
+    session.status = 'disconnected';
+    publishSessionStatus(sessionId, session);
+  }
+  
+  reconnectStates.delete(sessionId);
+  await authStore.removeSession(sessionId);
+  
+  // The ID can be claimed again (by any tenant), so nothing of this session may be left behind
+  sessionEvents.emit('session_removed', { sessionId });
+  
+  logger.warn(`❌ Session ${sessionId} logged out${unlinked ? '' : ' (device not unlinked - session was offline)'}. Credentials cleared.`);
+  
+  return { unlinked, credentialsRemoved: hasCredentials };
+}
+
+/**
+ * Get the current snapshot of a session (same shape as in status events)
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} - Session snapshot or null if the session is unknown
+ */
+function getSessionSnapshot(sessionId) {
+  const session = activeSessions.get(sessionId);
+  return session ? buildSessionSnapshot(sessionId, session) : null;
+}
+
+/**
+ * Get the reconnect counters and policy of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - { attempts, maxAttempts, nextRetryAt, lastStatusCode, policy }
+ */
+function getReconnectStatus(sessionId) {
+  // Read only - looking up an unknown session must not leave a state behind
+  const reconnect = reconnectStates.get(sessionId) || createReconnectState();
+  
+  return {
+    attempts: reconnect.attempts,
+    maxAttempts: reconnect.policy.maxAttempts,
+    nextRetryAt: reconnect.nextRetryAt,
+    lastStatusCode: reconnect.lastStatusCode,
+    policy: reconnect.policy
+  };
+}
+
 /**
  * Get session status
  */
@@ -566,14 +1347,28 @@ function getSessionStatus(sessionId) {
     status: session.status,
     isConnected: session.isConnected,
     phoneNumber: session.phoneNumber,
-    hasQRCode: !!session.qrCode
+    hasQRCode: !!session.qrCode,
+    hasPairingCode: !!session.pairingCode,
+    lastDisconnect: session.lastDisconnect || null,
+    reconnect: getReconnectStatus(sessionId)
   };
 }
 
 module.exports = {
   initializeWhatsApp,
   sendWhatsAppMessage,
+  sendReadReceipts,
+  listGroups,
+  checkNumbers,
   getQRCode,
+  getPairingCode,
+  connectWithPairingCode,
+  suspendSession,
+  suspendAllSessions,
+  resumeSession,
+  logoutSession,
   getSessionStatus,
+  getSessionSnapshot,
+  configureReconnect,
   activeSessions
 };
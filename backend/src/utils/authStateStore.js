@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  useMultiFileAuthState,
+  initAuthCreds,
+  BufferJSON,
+  proto
+} = require('@whiskeysockets/baileys');
+const { DATA_DIR } = require('./jsonStore');
+const logger = require('./logger');
+
+/**
+ * Auth State Stores
+ * Purpose: Keep WhatsApp credentials and signal keys somewhere durable.
+ *
+ * Every store implements the same interface:
+ * - name                            Store type ('multi-file' or 'sqlite')
+ * - describe(sessionId)             Where the session is stored (for logs)
+ * - async useAuthState(sessionId)   { state, saveCreds } for makeWASocket
+ * - async readCreds(sessionId)      Saved credentials or null
+ * - async hasSession(sessionId)     True if anything is stored for the session
+ * - async removeSession(sessionId)  Delete credentials and keys
+ * - async listSessions()            Session IDs with saved credentials
+ *
+ * Select the store with WHATSAPP_AUTH_STORE (default 'multi-file').
+ */
+
+// Default folder of the multi-file store (relative paths are resolved from the backend folder)
+const AUTH_SESSIONS_DIR = path.resolve(__dirname, '../..', process.env.WHATSAPP_SESSION_PATH || 'auth_sessions');
+
+/**
+ * Multi-File Auth Store
+ * One folder per session with creds.json and one file per signal key (Baileys' useMultiFileAuthState)
+ */
+class MultiFileAuthStore {
+  /**
+   * @param {string} baseDir - Folder holding one sub folder per session
+   */
+  constructor(baseDir) {
+    this.name = 'multi-file';
+    this.baseDir = baseDir;
+  }
+
+  describe(sessionId) {
+    return this.getSessionDir(sessionId);
+  }
+
+  getSessionDir(sessionId) {
+    const sessionDir = path.resolve(this.baseDir, String(sessionId));
+
+    // Never hand out a folder outside baseDir - removeSession deletes it recursively
+    if (path.dirname(sessionDir) !== path.resolve(this.baseDir)) {
+      throw new Error(`Invalid session ID ${sessionId}`);
+    }
+    return sessionDir;
+  }
+
+  async useAuthState(sessionId) {
+    const sessionDir = this.getSessionDir(sessionId);
+
+    if (!fs.existsSync(sessionDir)) {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      logger.debug(`Created auth folder ${sessionDir}`);
+    }
+
+    return useMultiFileAuthState(sessionDir);
+  }
+
+  async readCreds(sessionId) {
+    try {
+      const data = fs.readFileSync(path.join(this.getSessionDir(sessionId), 'creds.json'), 'utf8');
+      return JSON.parse(data, BufferJSON.reviver);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async hasSession(sessionId) {
+    return fs.existsSync(this.getSessionDir(sessionId));
+  }
+
+  async removeSession(sessionId) {
+    fs.rmSync(this.getSessionDir(sessionId), { recursive: true, force: true });
+  }
+
+  async listSessions() {
+    if (!fs.existsSync(this.baseDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(this.baseDir, entry.name, 'creds.json')))
+      .map(entry => entry.name);
+  }
+}
+
+/**
+ * SQLite Auth Store
+ * All sessions in a single database file - one row per session and key.
+ * Needs the optional better-sqlite3 package.
+ */
+class SqliteAuthStore {
+  /**
+   * @param {string} filePath - Database file
+   */
+  constructor(filePath) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  describe(sessionId) {
+    return `${this.filePath} (session ${sessionId})`;
+  }
+
+  /**
+   * Open the database on first use
+   */
+  getDb() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('WHATSAPP_AUTH_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS auth_state (
+        session_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (session_id, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO auth_state (session_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (session_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM auth_state WHERE session_id = ?'),
+      deleteSession: this.db.prepare('DELETE FROM auth_state WHERE session_id = ?'),
+      listSessions: this.db.prepare("SELECT session_id FROM auth_state WHERE key = 'creds' ORDER BY session_id")
+    };
+
+    logger.info(`🗄️ WhatsApp auth state stored in ${this.filePath}`);
+
+    return this.db;
+  }
+
+  readValue(sessionId, key) {
+    this.getDb();
+    const row = this.statements.get.get(sessionId, key);
+    return row ? JSON.parse(row.value, BufferJSON.reviver) : null;
+  }
+
+  writeValue(sessionId, key, value) {
+    this.getDb();
+    this.statements.upsert.run(sessionId, key, JSON.stringify(value, BufferJSON.replacer), new Date().toISOString());
+  }
+
+  async useAuthState(sessionId) {
+    const db = this.getDb();
+    const creds = this.readValue(sessionId, 'creds') || initAuthCreds();
+
+    // Key writes come in batches (e.g. pre-keys) - apply each batch in one transaction
+    const writeKeys = db.transaction((data) => {
+      for (const category of Object.keys(data)) {
+        for (const id of Object.keys(data[category])) {
+          const value = data[category][id];
+          const key = `${category}-${id}`;
+
+          if (value) {
+            this.writeValue(sessionId, key, value);
+          } else {
+            this.statements.delete.run(sessionId, key);
+          }
+        }
+      }
+    });
+
+    return {
+      state: {
+        creds,
+        keys: {
+          get: async (type, ids) => {
+            const data = {};
+            for (const id of ids) {
+              let value = this.readValue(sessionId, `${type}-${id}`);
+              if (type === 'app-state-sync-key' && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              }
+              data[id] = value;
+            }
+            return data;
+          },
+          set: async (data) => {
+            writeKeys(data);
+          }
+        }
+      },
+      saveCreds: async () => {
+        this.writeValue(sessionId, 'creds', creds);
+      }
+    };
+  }
+
+  async readCreds(sessionId) {
+    return this.readValue(sessionId, 'creds');
+  }
+
+  async hasSession(sessionId) {
+    this.getDb();
+    return this.statements.count.get(sessionId).count > 0;
+  }
+
+  async removeSession(sessionId) {
+    this.getDb();
+    this.statements.deleteSession.run(sessionId);
+  }
+
+  async listSessions() {
+    this.getDb();
+    return this.statements.listSessions.all().map(row => row.session_id);
+  }
+}
+
+let authStateStore = null;
+
+/**
+ * Get the configured auth state store (created on first use)
+ * WHATSAPP_AUTH_STORE: 'multi-file' (default, WHATSAPP_SESSION_PATH) or 'sqlite' (WHATSAPP_AUTH_SQLITE_PATH)
+ * @returns {MultiFileAuthStore|SqliteAuthStore} - Auth state store
+ */
+function getAuthStateStore() {
+  if (authStateStore) {
+    return authStateStore;
+  }
+
+  const type = process.env.WHATSAPP_AUTH_STORE || 'multi-file';
+
+  if (type === 'multi-file') {
+    authStateStore = new MultiFileAuthStore(AUTH_SESSIONS_DIR);
+  } else if (type === 'sqlite') {
+    const filePath = path.resolve(process.env.WHATSAPP_AUTH_SQLITE_PATH || path.join(DATA_DIR, 'whatsapp-auth.sqlite'));
+    authStateStore = new SqliteAuthStore(filePath);
+  } else {
+    throw new Error(`Unknown WHATSAPP_AUTH_STORE "${type}" (use "multi-file" or "sqlite")`);
+  }
+
+  return authStateStore;
+}
+
+module.exports = {
+  MultiFileAuthStore,
+  SqliteAuthStore,
+  getAuthStateStore,
+  AUTH_SESSIONS_DIR
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Root directory for persisted application data (inbox, queues, schedules, ...)
+const DATA_DIR = path.resolve(process.env.DATA_PATH || path.join(__dirname, '../../data'));
+
+/**
+ * Helper function to turn an identifier (e.g. a session ID) into a safe file name
+ * Other characters are percent-encoded (a leading dot too), so two identifiers never share a file.
+ * @param {string} name - Identifier
+ * @returns {string} - File-system safe name
+ */
+function toSafeFileName(name) {
+  return encodeURIComponent(String(name))
+    .replace(/[!'()*~]|^\./g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// All stores created, so pending writes can be flushed on shutdown
+const stores = new Set();
+
+/**
+ * JSON Store Class
+ * Purpose: Persist a small JSON document on disk so it survives server restarts
+ */
+class JsonStore {
+  /**
+   * @param {string} name - Store name, may contain sub directories (e.g. "inbox/session-1")
+   * @param {*} defaultValue - Value used when the file does not exist yet
+   * @param {Object} options - Store options (optional)
+   * @param {number} options.saveDelayMs - Debounce delay used by saveSoon() (default 500ms)
+   */
+  constructor(name, defaultValue, options = {}) {
+    this.filePath = path.join(DATA_DIR, ...name.split('/').map(toSafeFileName)) + '.json';
+    this.saveDelayMs = options.saveDelayMs ?? 500;
+    this.saveTimer = null;
+    this.removed = false;
+    this.data = this.load(defaultValue);
+    stores.add(this);
+  }
+
+  load(defaultValue) {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (err) {
+      logger.error(`Failed to load data file ${this.filePath}, starting empty:`, err.message);
+    }
+    return typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+  }
+
+  /**
+   * Write the data to disk immediately (atomic write via temp file + rename)
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    // Someone still holding a removed store must not bring the file back
+    if (this.removed) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      logger.error(`Failed to save data file ${this.filePath}:`, err.message);
+    }
+  }
+
+  /**
+   * Schedule a save - batches frequent updates into a single write
+   */
+  saveSoon() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    // Don't keep the process alive just for a pending write
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write any pending changes now (used during shutdown)
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  /**
+   * Remove the data file from disk
+   */
+  remove() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.removed = true;
+    fs.rmSync(this.filePath, { force: true });
+    stores.delete(this);
+  }
+}
+
+/**
+ * Flush pending writes of every store (call before the process exits)
+ */
+function flushAllStores() {
+  for (const store of stores) {
+    store.flush();
+  }
+}
+
+module.exports = {
+  JsonStore,
+  flushAllStores,
+  DATA_DIR,
+  toSafeFileName
+};
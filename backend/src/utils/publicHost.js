@@ -0,0 +1,110 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that are not reachable on the public internet: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check if an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, ::ffff:7f00:1) are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is public
+ */
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  let ip = address;
+
+  if (mapped) {
+    ip = mapped[1];
+  } else if (mappedHex) {
+    const value = parseInt(mappedHex[1], 16) * 65536 + parseInt(mappedHex[2], 16);
+    ip = [24, 16, 8, 0].map(shift => (value / 2 ** shift) & 255).join('.');
+  }
+
+  const family = net.isIP(ip);
+
+  if (!family) {
+    return false;
+  }
+  return !NON_PUBLIC_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Create the error thrown for a host that is not public
+ * @param {string} hostname - Host name or address
+ * @returns {Error} - Error with code ENONPUBLIC
+ */
+function createNonPublicError(hostname) {
+  const error = new Error(`${hostname} does not resolve to a public address`);
+  error.code = 'ENONPUBLIC';
+  return error;
+}
+
+/**
+ * Resolve a host name and make sure every address it resolves to is public
+ * @param {string} hostname - Host name or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<void>} - Rejects with code ENONPUBLIC (or the DNS error)
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw createNonPublicError(hostname);
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s) agents that refuses non-public addresses
+ * Checked when the socket connects, so a host cannot switch to a private address
+ * after assertPublicHost (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(createNonPublicError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup
+};
@@ -0,0 +1,65 @@
+const QRCode = require('qrcode');
+
+// Image size limits in pixels
+const QR_MIN_SIZE = 64;
+const QR_MAX_SIZE = 1024;
+const QR_DEFAULT_SIZE = 300;
+
+// Quiet zone around the code, in modules
+const QR_MAX_MARGIN = 10;
+const QR_DEFAULT_MARGIN = 4;
+
+/**
+ * Parse and validate QR image options from a query string
+ * @param {Object} query - { size, margin }
+ * @returns {Object} - { error: string|null, options: { width, margin } }
+ */
+function parseQRImageOptions(query = {}) {
+  const size = query.size !== undefined ? parseInt(query.size, 10) : QR_DEFAULT_SIZE;
+  const margin = query.margin !== undefined ? parseInt(query.margin, 10) : QR_DEFAULT_MARGIN;
+
+  if (isNaN(size) || size < QR_MIN_SIZE || size > QR_MAX_SIZE) {
+    return { error: `size must be between ${QR_MIN_SIZE} and ${QR_MAX_SIZE} pixels`, options: null };
+  }
+
+  if (isNaN(margin) || margin < 0 || margin > QR_MAX_MARGIN) {
+    return { error: `margin must be between 0 and ${QR_MAX_MARGIN}`, options: null };
+  }
+
+  return { error: null, options: { width: size, margin } };
+}
+
+/**
+ * Render a QR string as an image
+ * @param {string} qr - Raw QR string (from Baileys)
+ * @param {string} format - 'png' or 'svg'
+ * @param {Object} options - { width, margin } (see parseQRImageOptions)
+ * @returns {Promise<Buffer|string>} - PNG buffer or SVG markup
+ */
+async function renderQRImage(qr, format, options = {}) {
+  if (format === 'svg') {
+    return QRCode.toString(qr, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(qr, { ...options, type: 'png' });
+}
+
+/**
+ * Render a QR string as a PNG data URI (usable directly in <img src> or emails)
+ * @param {string} qr - Raw QR string (from Baileys)
+ * @param {Object} options - { width, margin } (optional)
+ * @returns {Promise<string>} - data:image/png;base64,...
+ */
+function renderQRDataUrl(qr, options = {}) {
+  return QRCode.toDataURL(qr, {
+    width: QR_DEFAULT_SIZE,
+    margin: QR_DEFAULT_MARGIN,
+    ...options,
+    type: 'image/png'
+  });
+}
+
+module.exports = {
+  parseQRImageOptions,
+  renderQRImage,
+  renderQRDataUrl
+};
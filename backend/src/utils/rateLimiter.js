@@ -30,6 +30,59 @@ class RateLimiter {
     
     return true;
   }
+
+  /**
+   * Get how long to wait before the next request is allowed
+   * @param {string} identifier - Rate limit key
+   * @returns {number} - Milliseconds to wait (0 if a request is allowed now)
+   */
+  getWaitTime(identifier) {
+    const now = Date.now();
+    const validRequests = (this.requests.get(identifier) || []).filter(
+      timestamp => now - timestamp < this.timeWindowMs
+    );
+
+    if (validRequests.length < this.maxRequests) {
+      return 0;
+    }
+
+    return this.timeWindowMs - (now - Math.min(...validRequests));
+  }
+
+  /**
+   * Check several keys at once (e.g. every recipient of an email)
+   * Nothing is counted unless all keys are within their limit.
+   * @param {Array<string>} identifiers - Rate limit keys
+   */
+  async checkLimits(identifiers) {
+    const waitTime = Math.max(0, ...identifiers.map(identifier => this.getWaitTime(identifier)));
+
+    if (waitTime > 0) {
+      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(waitTime / 1000)}s`);
+    }
+
+    for (const identifier of new Set(identifiers)) {
+      await this.checkLimit(identifier);
+    }
+
+    return true;
+  }
+
+  /**
+   * Wait until a request is allowed, then count it
+   * Used by background jobs that should be paced instead of rejected
+   * @param {string} identifier - Rate limit key
+   */
+  async waitForSlot(identifier) {
+    let waitTime = this.getWaitTime(identifier);
+
+    while (waitTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      waitTime = this.getWaitTime(identifier);
+    }
+
+    return this.checkLimit(identifier);
+  }
 }
 
 // Create default limiters
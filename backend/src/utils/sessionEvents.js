@@ -0,0 +1,26 @@
+const EventEmitter = require('events');
+
+/**
+ * Session Events
+ * Purpose: Let other services react to WhatsApp session lifecycle changes
+ * without requiring whatsappService (avoids circular dependencies).
+ *
+ * Events:
+ * - 'open'         { sessionId, phoneNumber } - Connection opened and ready to send
+ * - 'status'       { sessionId, status, previousStatus, session } - Session status changed
+ * - 'qr'           { sessionId, qrCode, session } - New or refreshed QR code
+ * - 'pairing_code' { sessionId, pairingCode, session } - Pairing code issued
+ * - 'disconnect'   { sessionId, statusCode, reason, at, willReconnect, nextRetryAt, session } - Connection closed
+ * - 'reconnect_scheduled' { sessionId, attempt, maxAttempts, delayMs, nextRetryAt } - Reconnect timer armed
+ * - 'message_sent'   { sessionId, messageId, to, jid, type } - Outgoing message accepted by WhatsApp
+ * - 'message_failed' { sessionId, messageId, to, type, error, code } - Outgoing message could not be sent (messageId is null if the session was not connected)
+ * - 'session_removed' { sessionId } - Session logged out; services delete what they keep for it
+ *
+ * "session" is the snapshot built by whatsappService (status, QR/pairing code, phone number, last disconnect).
+ */
+const sessionEvents = new EventEmitter();
+
+// Several services subscribe to the same events, plus every open /stream client
+sessionEvents.setMaxListeners(0);
+
+module.exports = sessionEvents;
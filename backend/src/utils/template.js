@@ -0,0 +1,64 @@
+// Matches {{name}} placeholders (whitespace inside the braces is allowed)
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+// Characters that must not reach HTML unescaped
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or attribute values
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Get all placeholder names used in a text
+ * @param {string} text - Text with {{placeholders}}
+ * @returns {Array<string>} - Unique placeholder names
+ */
+function getPlaceholders(text) {
+  if (!text) {
+    return [];
+  }
+  return [...new Set([...String(text).matchAll(PLACEHOLDER_REGEX)].map(match => match[1]))];
+}
+
+/**
+ * Replace {{placeholders}} in a text with variable values
+ * @param {string} text - Text with {{placeholders}}
+ * @param {Object} variables - Placeholder values
+ * @param {Object} options - { html: true } escapes the values for HTML
+ * @returns {{ text: string, missing: Array<string> }} - Rendered text and names of missing variables
+ */
+function renderTemplate(text, variables = {}, { html = false } = {}) {
+  const missing = new Set();
+
+  if (text === undefined || text === null) {
+    return { text, missing: [] };
+  }
+
+  const rendered = String(text).replace(PLACEHOLDER_REGEX, (placeholder, name) => {
+    // Only own properties count - {{constructor}} must not resolve through the prototype
+    const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return placeholder;
+    }
+    return html ? escapeHtml(value) : String(value);
+  });
+
+  return { text: rendered, missing: [...missing] };
+}
+
+module.exports = {
+  getPlaceholders,
+  renderTemplate
+};
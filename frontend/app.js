@@ -1,7 +1,29 @@
 const API_BASE = 'http://localhost:3001/api';
 
-// Polling interval for QR codes
-let qrPollingInterval = null;
+// Live session updates (Server-Sent Events)
+let statusStream = null;
+
+// API key sent with every request (kept in localStorage)
+const apiKeyInput = document.getElementById('apiKey');
+apiKeyInput.value = localStorage.getItem('apiKey') || '';
+apiKeyInput.addEventListener('change', () => {
+    localStorage.setItem('apiKey', apiKeyInput.value.trim());
+    checkServerStatus();
+});
+
+// fetch() with the API key header
+function apiFetch(url, options = {}) {
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-API-Key': apiKeyInput.value.trim() }
+    });
+}
+
+// EventSource and <img> can't send headers - pass the key as a query parameter
+function withApiKey(url) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}apiKey=${encodeURIComponent(apiKeyInput.value.trim())}`;
+}
 
 // Tab switching
 document.querySelectorAll('.tab-button').forEach(button => {
@@ -21,16 +43,16 @@ document.querySelectorAll('.tab-button').forEach(button => {
             checkHealth();
         }
         
-        // Stop QR polling when switching away from WhatsApp tab
+        // Stop the status stream when switching away from WhatsApp tab
         if (tabName !== 'whatsapp') {
-            stopQRPolling();
+            stopStatusStream();
         }
     });
 });
 
-// Clean up polling when page is closed
+// Clean up the status stream when page is closed
 window.addEventListener('beforeunload', () => {
-    stopQRPolling();
+    stopStatusStream();
 });
 
 // Check server status on load
@@ -39,10 +61,10 @@ setInterval(checkServerStatus, 30000); // Check every 30 seconds
 
 async function checkServerStatus() {
     try {
-        const response = await fetch(`${API_BASE}/health`);
+        const response = await apiFetch(`${API_BASE}/health`);
         const data = await response.json();
         
-        document.getElementById('serverStatus').textContent = 'Online';
+        document.getElementById('serverStatus').textContent = response.status === 401 ? 'Online (API key required)' : 'Online';
         document.getElementById('serverStatus').className = 'status-value online';
         
         if (data.uptime) {
@@ -60,7 +82,7 @@ async function checkServerStatus() {
 
 async function checkHealth() {
     try {
-        const response = await fetch(`${API_BASE}/health`);
+        const response = await apiFetch(`${API_BASE}/health`);
         const data = await response.json();
         document.getElementById('health-data').textContent = JSON.stringify(data, null, 2);
     } catch (error) {
@@ -74,18 +96,15 @@ async function connectWhatsApp() {
     const statusDiv = document.getElementById('whatsapp-status');
     const qrContainer = document.getElementById('qr-code-container');
     
-    // Stop any existing polling
-    if (qrPollingInterval) {
-        clearInterval(qrPollingInterval);
-        qrPollingInterval = null;
-    }
+    // Stop any existing stream
+    stopStatusStream();
     
     statusDiv.innerHTML = '<div class="info">⏳ Initializing WhatsApp connection...</div>';
     statusDiv.className = 'status-display info';
     qrContainer.innerHTML = '';
     
     try {
-        const response = await fetch(`${API_BASE}/whatsapp/connect/${sessionId}`, {
+        const response = await apiFetch(`${API_BASE}/whatsapp/connect/${sessionId}`, {
             method: 'POST'
         });
         const data = await response.json();
@@ -94,8 +113,8 @@ async function connectWhatsApp() {
             statusDiv.innerHTML = '<div class="info">⏳ Waiting for QR code...</div>';
             statusDiv.className = 'status-display info';
             
-            // Start continuous polling for QR code
-            startQRPolling(sessionId);
+            // Listen for QR codes and status changes
+            startStatusStream(sessionId);
         } else {
             statusDiv.innerHTML = `<div class="error">❌ Error: ${data.error}</div>`;
             statusDiv.className = 'status-display error';
@@ -106,163 +125,167 @@ async function connectWhatsApp() {
     }
 }
 
-// Start polling for QR code
-function startQRPolling(sessionId) {
-    // Clear any existing interval
-    if (qrPollingInterval) {
-        clearInterval(qrPollingInterval);
-    }
+// Start listening for QR codes and status changes
+function startStatusStream(sessionId) {
+    // Close any existing stream
+    stopStatusStream();
     
-    // Reset error counter when starting new polling
+    // Reset error counter when starting a new stream
     consecutiveErrors = 0;
     
-    // Poll every 2 seconds for QR code (slightly longer to reduce server load)
-    qrPollingInterval = setInterval(async () => {
-        await checkWhatsAppStatus();
-    }, 2000);
+    statusStream = new EventSource(withApiKey(`${API_BASE}/whatsapp/stream/${sessionId}`));
     
-    // Also check immediately
-    checkWhatsAppStatus();
+    ['status', 'qr', 'pairing_code', 'disconnect'].forEach(eventName => {
+        statusStream.addEventListener(eventName, (event) => {
+            consecutiveErrors = 0;
+            const data = JSON.parse(event.data);
+            
+            if (eventName === 'disconnect') {
+                console.warn(`Connection closed (${data.statusCode || 'unknown'}): ${data.reason || 'no reason given'}`);
+            }
+            
+            renderWhatsAppStatus(data);
+        });
+    });
+    
+    // EventSource reconnects by itself, only report persistent failures
+    statusStream.onerror = () => {
+        consecutiveErrors++;
+        
+        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+            const qrContainer = document.getElementById('qr-code-container');
+            
+            // Only show error if we don't already have a QR code displayed
+            if (!qrContainer.querySelector('img')) {
+                stopStatusStream();
+                const statusDiv = document.getElementById('whatsapp-status');
+                statusDiv.innerHTML = '<div class="error">❌ Cannot reach server. Is it running?</div>';
+                statusDiv.className = 'status-display error';
+            } else {
+                console.warn('Network error but QR code is still displayed. Reconnecting stream...');
+            }
+        }
+    };
 }
 
-// Stop QR polling
-function stopQRPolling() {
-    if (qrPollingInterval) {
-        clearInterval(qrPollingInterval);
-        qrPollingInterval = null;
+// Stop listening for status changes
+function stopStatusStream() {
+    if (statusStream) {
+        statusStream.close();
+        statusStream = null;
     }
 }
 
-// Track consecutive errors to avoid showing error on every failed poll
+// "Check Status" button - the stream sends the current state right away
+function checkWhatsAppStatus() {
+    const sessionId = document.getElementById('sessionId').value || 'default-session';
+    startStatusStream(sessionId);
+}
+
+// Track consecutive errors to avoid showing error on every stream hiccup
 let consecutiveErrors = 0;
 const MAX_CONSECUTIVE_ERRORS = 3;
 
-async function checkWhatsAppStatus() {
-    const sessionId = document.getElementById('sessionId').value || 'default-session';
+function renderWhatsAppStatus(event) {
     const statusDiv = document.getElementById('whatsapp-status');
     const qrContainer = document.getElementById('qr-code-container');
+    const data = event.session;
     
-    try {
-        // Use the new QR endpoint
-        const response = await fetch(`${API_BASE}/whatsapp/qr/${sessionId}`);
+    // Session is gone (never initialized or logged out)
+    if (!data) {
+        stopStatusStream();
+        statusDiv.innerHTML = '<div class="error">❌ Session not found. Please click "Connect" first.</div>';
+        statusDiv.className = 'status-display error';
+        qrContainer.innerHTML = '';
+        return;
+    }
+    
+    if (data.status === 'disconnected') {
+        stopStatusStream();
+        statusDiv.innerHTML = '<div class="info">Session disconnected</div>';
+        statusDiv.className = 'status-display info';
+        qrContainer.innerHTML = '';
+        return;
+    }
+    
+    // Check if connected (the stream stays open to report disconnects)
+    if (data.isConnected) {
+        statusDiv.innerHTML = '<div class="success">✅ WhatsApp is connected!</div>';
+        statusDiv.className = 'status-display success';
+        qrContainer.innerHTML = '';
+        if (data.phoneNumber) {
+            statusDiv.innerHTML += `<div style="margin-top: 10px; font-size: 1.1em;">📱 Phone: <strong>${data.phoneNumber}</strong></div>`;
+        }
+    } 
+    // Check if QR code is available (even if status is 'failed' - QR might still be valid)
+    else if (data.qrCode && data.qrCode.length > 0) {
+        // Clear any error messages when QR is available
+        if (statusDiv.classList.contains('error')) {
+            statusDiv.className = 'status-display info';
+        }
         
-        // Reset error counter on successful request
-        consecutiveErrors = 0;
+        const statusMsg = data.status === 'failed' 
+            ? '⚠️ Connection error, but QR code is still valid. Scan quickly!' 
+            : '📱 Scan QR code with WhatsApp to connect';
         
-        if (!response.ok) {
-            // If 404, session doesn't exist - stop polling
-            if (response.status === 404) {
-                stopQRPolling();
-                statusDiv.innerHTML = '<div class="error">❌ Session not found. Please click "Connect" first.</div>';
-                statusDiv.className = 'status-display error';
-                qrContainer.innerHTML = '';
-            }
-            return;
-        }
+        statusDiv.innerHTML = `<div class="info">${statusMsg}</div>`;
+        statusDiv.className = 'status-display info';
         
-        const data = await response.json();
+        // Only update QR code if it's different (to avoid flickering)
+        const currentQR = qrContainer.querySelector('img');
+        const qrData = data.qrCode;
         
-        if (!data.success) {
-            // If session not found, stop polling
-            if (data.error && (data.error.includes('not found') || data.error.includes('not initialized'))) {
-                stopQRPolling();
-                statusDiv.innerHTML = `<div class="error">❌ Error: ${data.error}</div>`;
-                statusDiv.className = 'status-display error';
-                qrContainer.innerHTML = '';
-            }
-            return;
+        if (!currentQR || currentQR.dataset.qr !== qrData) {
+            console.log('Displaying QR code:', qrData.substring(0, 50) + '...');
+            qrContainer.innerHTML = `
+                <p style="font-weight: 600; margin-bottom: 15px; color: #333;">📱 Scan this QR code:</p>
+                <p style="font-size: 0.85em; color: #666; margin-bottom: 15px;">
+                    <strong>Instructions:</strong><br>
+                    1. Open WhatsApp on your phone<br>
+                    2. Go to Settings → Linked Devices<br>
+                    3. Tap "Link a Device"<br>
+                    4. Scan the QR code below
+                </p>
+                <div style="background: white; padding: 20px; display: inline-block; border-radius: 10px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
+                    <img src="${withApiKey(`${API_BASE}/whatsapp/qr/${encodeURIComponent(data.sessionId)}.png?size=300&t=${encodeURIComponent(data.qrGeneratedAt || '')}`)}" 
+                         alt="QR Code" 
+                         data-qr="${qrData}"
+                         style="display: block;"
+                         onerror="this.onerror=null; this.src='data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'300\' height=\'300\'%3E%3Ctext x=\'50%25\' y=\'50%25\' text-anchor=\'middle\' dy=\'.3em\'%3EQR Code Error%3C/text%3E%3C/svg%3E';">
+                </div>
+                <p style="font-size: 0.75em; color: #999; margin-top: 15px;">
+                    Status: ${data.status || 'Waiting for scan'} | 
+                    Generated: ${data.qrGeneratedAt ? new Date(data.qrGeneratedAt).toLocaleTimeString() : 'Just now'}
+                </p>
+            `;
         }
+    } 
+    // Session started with a pairing code instead of a QR code
+    else if (data.pairingCode) {
+        statusDiv.innerHTML = `<div class="info">🔢 Enter pairing code <strong>${data.pairingCode}</strong> on your phone (Linked Devices → Link with phone number instead)</div>`;
+        statusDiv.className = 'status-display info';
+        qrContainer.innerHTML = '';
+    }
+    // Still connecting/generating QR
+    else {
+        const statusMsg = data.status === 'connecting' 
+            ? '⏳ Connecting to WhatsApp...' 
+            : data.status === 'qr_pending' 
+                ? '⏳ Generating QR code... Please wait...' 
+            : data.status === 'reconnecting'
+                ? '⏳ Reconnecting...'
+            : data.status === 'suspended'
+                ? '⏸️ Session suspended (credentials kept). Resume it to reconnect.'
+            : data.status === 'failed'
+                ? `⚠️ Connection failed${data.lastDisconnect?.reason ? ` (${data.lastDisconnect.reason})` : ''}. Retrying...`
+                : '⏳ Waiting for connection...';
         
-        // Check if connected
-        if (data.isConnected) {
-            // Stop polling when connected
-            stopQRPolling();
-            statusDiv.innerHTML = '<div class="success">✅ WhatsApp is connected!</div>';
-            statusDiv.className = 'status-display success';
-            qrContainer.innerHTML = '';
-            if (data.phoneNumber) {
-                statusDiv.innerHTML += `<div style="margin-top: 10px; font-size: 1.1em;">📱 Phone: <strong>${data.phoneNumber}</strong></div>`;
-            }
-        } 
-        // Check if QR code is available (even if status is 'failed' - QR might still be valid)
-        else if (data.qrCode && data.qrCode.length > 0) {
-            // Clear any error messages when QR is available
-            if (statusDiv.classList.contains('error')) {
-                statusDiv.className = 'status-display info';
-            }
-            
-            const statusMsg = data.status === 'failed' 
-                ? '⚠️ Connection error, but QR code is still valid. Scan quickly!' 
-                : '📱 Scan QR code with WhatsApp to connect';
-            
-            statusDiv.innerHTML = `<div class="info">${statusMsg}</div>`;
-            statusDiv.className = 'status-display info';
-            
-            // Only update QR code if it's different (to avoid flickering)
-            const currentQR = qrContainer.querySelector('img');
-            const qrData = data.qrCode;
-            
-            if (!currentQR || currentQR.dataset.qr !== qrData) {
-                console.log('Displaying QR code:', qrData.substring(0, 50) + '...');
-                qrContainer.innerHTML = `
-                    <p style="font-weight: 600; margin-bottom: 15px; color: #333;">📱 Scan this QR code:</p>
-                    <p style="font-size: 0.85em; color: #666; margin-bottom: 15px;">
-                        <strong>Instructions:</strong><br>
-                        1. Open WhatsApp on your phone<br>
-                        2. Go to Settings → Linked Devices<br>
-                        3. Tap "Link a Device"<br>
-                        4. Scan the QR code below
-                    </p>
-                    <div style="background: white; padding: 20px; display: inline-block; border-radius: 10px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
-                        <img src="https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(qrData)}" 
-                             alt="QR Code" 
-                             data-qr="${qrData}"
-                             style="display: block;"
-                             onerror="this.onerror=null; this.src='data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'300\' height=\'300\'%3E%3Ctext x=\'50%25\' y=\'50%25\' text-anchor=\'middle\' dy=\'.3em\'%3EQR Code Error%3C/text%3E%3C/svg%3E';">
-                    </div>
-                    <p style="font-size: 0.75em; color: #999; margin-top: 15px;">
-                        Status: ${data.status || 'Waiting for scan'} | 
-                        Generated: ${data.qrGeneratedAt ? new Date(data.qrGeneratedAt).toLocaleTimeString() : 'Just now'}
-                    </p>
-                `;
-            }
-        } 
-        // Still connecting/generating QR
-        else {
-            const statusMsg = data.status === 'connecting' 
-                ? '⏳ Connecting to WhatsApp...' 
-                : data.status === 'qr_pending' 
-                    ? '⏳ Generating QR code... Please wait...' 
-                : data.status === 'reconnecting'
-                    ? '⏳ Reconnecting...'
-                : data.status === 'failed'
-                    ? '⚠️ Connection failed. Retrying...'
-                    : '⏳ Waiting for connection...';
-            
-            statusDiv.innerHTML = `<div class="info">${statusMsg}</div>`;
-            statusDiv.className = 'status-display info';
-            
-            // Show status but don't clear QR if we had one
-            if (!qrContainer.querySelector('img')) {
-                qrContainer.innerHTML = '';
-            }
-        }
-    } catch (error) {
-        console.error('Status check error:', error);
-        consecutiveErrors++;
+        statusDiv.innerHTML = `<div class="info">${statusMsg}</div>`;
+        statusDiv.className = 'status-display info';
         
-        // Only show error after multiple consecutive failures
-        // This prevents showing error on transient network issues
-        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-            // Only show error if we don't already have a QR code displayed
-            if (!qrContainer.querySelector('img')) {
-                stopQRPolling();
-                statusDiv.innerHTML = '<div class="error">❌ Cannot reach server. Is it running?</div>';
-                statusDiv.className = 'status-display error';
-            } else {
-                // If QR is already displayed, just log the error but don't show it
-                console.warn('Network error but QR code is still displayed. Continuing polling...');
-            }
+        // Show status but don't clear QR if we had one
+        if (!qrContainer.querySelector('img')) {
+            qrContainer.innerHTML = '';
         }
     }
 }
@@ -283,7 +306,7 @@ async function sendWhatsAppMessage() {
     resultDiv.className = 'result-display info';
     
     try {
-        const response = await fetch(`${API_BASE}/whatsapp/send/${sessionId}`, {
+        const response = await apiFetch(`${API_BASE}/whatsapp/send/${sessionId}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -314,14 +337,14 @@ async function disconnectWhatsApp() {
     const sessionId = document.getElementById('sessionId').value || 'default-session';
     const statusDiv = document.getElementById('whatsapp-status');
     
-    // Stop polling
-    stopQRPolling();
+    // Stop listening for updates
+    stopStatusStream();
     
     statusDiv.innerHTML = '<div class="info">⏳ Disconnecting...</div>';
     statusDiv.className = 'status-display info';
     
     try {
-        const response = await fetch(`${API_BASE}/whatsapp/disconnect/${sessionId}`, {
+        const response = await apiFetch(`${API_BASE}/whatsapp/disconnect/${sessionId}`, {
             method: 'DELETE'
         });
         const data = await response.json();
@@ -366,7 +389,7 @@ async function sendEmail() {
         if (cc) body.cc = cc;
         if (bcc) body.bcc = bcc;
         
-        const response = await fetch(`${API_BASE}/email/send`, {
+        const response = await apiFetch(`${API_BASE}/email/send`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -403,7 +426,7 @@ async function sendTestEmail() {
     resultDiv.className = 'result-display info';
     
     try {
-        const response = await fetch(`${API_BASE}/email/test`, {
+        const response = await apiFetch(`${API_BASE}/email/test`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'